@@ -0,0 +1,211 @@
+const { getPool } = require("./shared/db");
+const { validateCustomDetector } = require("./shared/custom-detectors");
+const { v4: uuidv4 } = require("uuid");
+
+const DETECTOR_COLUMNS =
+  "detector_id, name, description, pattern, flags, context_keywords, mask_style, validator, active, created_at, updated_at";
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (typeof event.body === "string") {
+    return JSON.parse(event.body);
+  }
+  return event.body || {};
+}
+
+async function createDetector(pool, body) {
+  const definition = {
+    name: body.name,
+    description: body.description || null,
+    pattern: body.pattern,
+    flags: body.flags || "",
+    context_keywords: body.context_keywords || null,
+    mask_style: body.mask_style,
+    validator: body.validator || "none",
+  };
+
+  const validationError = validateCustomDetector(definition);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  const existing = await pool.query(
+    "SELECT detector_id FROM custom_detectors WHERE name = $1",
+    [definition.name]
+  );
+  if (existing.rows.length > 0) {
+    return jsonResponse(409, {
+      error: `A custom detector named ${definition.name} already exists`,
+    });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO custom_detectors
+       (detector_id, name, description, pattern, flags, context_keywords, mask_style, validator)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${DETECTOR_COLUMNS}`,
+    [
+      uuidv4(),
+      definition.name,
+      definition.description,
+      definition.pattern,
+      definition.flags,
+      definition.context_keywords,
+      definition.mask_style,
+      definition.validator,
+    ]
+  );
+
+  console.log(`Created custom detector ${definition.name}`);
+  return jsonResponse(201, result.rows[0]);
+}
+
+async function listDetectors(pool, params) {
+  const includeInactive = params.include_inactive === "true";
+  const query = `SELECT ${DETECTOR_COLUMNS} FROM custom_detectors ${
+    includeInactive ? "" : "WHERE active = TRUE"
+  } ORDER BY name ASC`;
+
+  const result = await pool.query(query);
+  return jsonResponse(200, {
+    detectors: result.rows,
+    count: result.rows.length,
+  });
+}
+
+async function updateDetector(pool, detectorId, body) {
+  const existing = await pool.query(
+    `SELECT ${DETECTOR_COLUMNS} FROM custom_detectors WHERE detector_id = $1`,
+    [detectorId]
+  );
+  if (existing.rows.length === 0) {
+    return jsonResponse(404, { error: "Detector not found" });
+  }
+
+  const current = existing.rows[0];
+  const definition = {
+    name: body.name ?? current.name,
+    description: body.description ?? current.description,
+    pattern: body.pattern ?? current.pattern,
+    flags: body.flags ?? current.flags,
+    context_keywords:
+      body.context_keywords !== undefined
+        ? body.context_keywords
+        : current.context_keywords,
+    mask_style: body.mask_style ?? current.mask_style,
+    validator: body.validator ?? current.validator,
+    active: body.active ?? current.active,
+  };
+
+  if (typeof definition.active !== "boolean") {
+    return jsonResponse(400, { error: "active must be a boolean" });
+  }
+
+  const validationError = validateCustomDetector(definition);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  if (definition.name !== current.name) {
+    const clash = await pool.query(
+      "SELECT detector_id FROM custom_detectors WHERE name = $1",
+      [definition.name]
+    );
+    if (clash.rows.length > 0) {
+      return jsonResponse(409, {
+        error: `A custom detector named ${definition.name} already exists`,
+      });
+    }
+  }
+
+  const result = await pool.query(
+    `UPDATE custom_detectors
+     SET name = $1, description = $2, pattern = $3, flags = $4,
+         context_keywords = $5, mask_style = $6, validator = $7,
+         active = $8, updated_at = NOW()
+     WHERE detector_id = $9
+     RETURNING ${DETECTOR_COLUMNS}`,
+    [
+      definition.name,
+      definition.description,
+      definition.pattern,
+      definition.flags,
+      definition.context_keywords,
+      definition.mask_style,
+      definition.validator,
+      definition.active,
+      detectorId,
+    ]
+  );
+
+  console.log(`Updated custom detector ${definition.name}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+async function disableDetector(pool, detectorId) {
+  const result = await pool.query(
+    `UPDATE custom_detectors
+     SET active = FALSE, updated_at = NOW()
+     WHERE detector_id = $1
+     RETURNING ${DETECTOR_COLUMNS}`,
+    [detectorId]
+  );
+  if (result.rows.length === 0) {
+    return jsonResponse(404, { error: "Detector not found" });
+  }
+
+  console.log(`Disabled custom detector ${result.rows[0].name}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const routeKey = event.routeKey;
+    const detectorId = event.pathParameters?.detector_id;
+
+    if (detectorId !== undefined && !uuidRegex.test(detectorId)) {
+      return jsonResponse(400, { error: "Invalid detector_id format" });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    const pool = await getPool();
+
+    switch (routeKey) {
+      case "POST /detectors":
+        return await createDetector(pool, body);
+      case "GET /detectors":
+        return await listDetectors(pool, event.queryStringParameters || {});
+      case "PUT /detectors/{detector_id}":
+        return await updateDetector(pool, detectorId, body);
+      case "DELETE /detectors/{detector_id}":
+        return await disableDetector(pool, detectorId);
+      default:
+        return jsonResponse(404, { error: `Unsupported route: ${routeKey}` });
+    }
+  } catch (error) {
+    console.error("Error handling detectors request:", error);
+
+    return jsonResponse(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,127 @@
+const { getPool } = require("./shared/db");
+const { queueEnumeration, enumerateJob } = require("./shared/scan-jobs");
+
+// Time left to the Lambda timeout at which no new page is started; one page
+// takes a few seconds to record and queue
+const STOP_MARGIN_MS = 60000;
+// Deliveries of an enumeration message before the job's enumeration is
+// marked failed, matching the queue's redrive policy
+const MAX_ATTEMPTS = parseInt(process.env.MAX_ATTEMPTS || "3");
+
+/**
+ * Take the lease on a job's enumeration until the Lambda times out, so
+ * that a duplicate message does not list the same pages at the same time.
+ * A lease left by an enumerator that died has expired by the time its
+ * message is delivered again. Taking the lease counts as progress for the
+ * scheduler, which fails enumerations that have stalled.
+ * @returns {Promise<object|null>} jobs row, or null when the job is not
+ *   enumerating or another enumerator holds the lease
+ */
+async function claimEnumeration(pool, jobId, leaseMs) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET enumeration_lease_until = NOW() + $2 * INTERVAL '1 millisecond',
+         updated_at = NOW()
+     WHERE job_id = $1 AND enumeration_status = 'enumerating'
+       AND (enumeration_lease_until IS NULL
+            OR enumeration_lease_until < NOW())
+     RETURNING job_id, bucket, prefix, detectors, tag_objects, incremental,
+               enumeration_token`,
+    [jobId, leaseMs]
+  );
+  return result.rows[0] || null;
+}
+
+async function releaseEnumeration(pool, jobId) {
+  await pool.query(
+    "UPDATE jobs SET enumeration_lease_until = NULL WHERE job_id = $1",
+    [jobId]
+  );
+}
+
+/**
+ * List and queue a job's objects from its checkpoint until the listing ends
+ * or the Lambda is about to time out, then hand the rest to a new message
+ */
+async function enumerate(pool, jobId, attempt, context) {
+  const job = await claimEnumeration(
+    pool,
+    jobId,
+    context.getRemainingTimeInMillis()
+  );
+  if (!job) {
+    console.log(
+      `Job ${jobId} is not enumerating, or another enumerator is listing it`
+    );
+    return;
+  }
+
+  console.log(
+    `Enumerating job ${jobId} ${
+      job.enumeration_token ? "from its checkpoint" : "from the start"
+    } (attempt ${attempt})`
+  );
+
+  let complete;
+  try {
+    complete = await enumerateJob(
+      pool,
+      job,
+      () => context.getRemainingTimeInMillis() < STOP_MARGIN_MS
+    );
+  } catch (error) {
+    console.error(`Error enumerating job ${jobId}:`, error);
+
+    const exhausted = attempt >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE jobs
+       SET enumeration_error = $2, enumeration_lease_until = NULL,
+           enumeration_status = CASE WHEN $3 THEN 'failed'
+                                     ELSE enumeration_status END,
+           updated_at = NOW()
+       WHERE job_id = $1`,
+      [jobId, error.message, exhausted]
+    );
+    if (exhausted) {
+      console.error(
+        `Gave up enumerating job ${jobId} after ${attempt} attempts`
+      );
+      return;
+    }
+    // The message is delivered again and the page retried
+    throw error;
+  }
+
+  // Released before the next message is queued, so that it can take the
+  // lease; if queueing fails, this message is delivered again instead
+  await releaseEnumeration(pool, jobId);
+  if (!complete) {
+    await queueEnumeration(jobId);
+    console.log(`Job ${jobId}: continuing enumeration in a new invocation`);
+  } else {
+    console.log(`Job ${jobId}: enumeration complete`);
+  }
+}
+
+// Invoked by the enumeration queue, one message at a time
+exports.handler = async (event, context) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  const pool = await getPool();
+
+  for (const record of event.Records) {
+    let jobId;
+    try {
+      jobId = JSON.parse(record.body).job_id;
+    } catch (error) {
+      jobId = null;
+    }
+    if (!jobId) {
+      console.error("Ignoring malformed enumeration message:", record.body);
+      continue;
+    }
+
+    const attempt = parseInt(record.attributes?.ApproximateReceiveCount || "1");
+    await enumerate(pool, jobId, attempt, context);
+  }
+};
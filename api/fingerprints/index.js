@@ -0,0 +1,172 @@
+const { getPool } = require("./shared/db");
+
+const fingerprintRegex = /^[0-9a-f]{64}$/;
+const MAX_NOTE_LENGTH = 1000;
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (typeof event.body === "string") {
+    return JSON.parse(event.body);
+  }
+  return event.body || {};
+}
+
+/**
+ * Every place a fingerprinted value was found, with a summary across them
+ */
+async function getFingerprint(pool, fingerprint, params) {
+  const limit = parseInt(params.limit || "100");
+  const cursor = params.cursor ? parseInt(params.cursor) : null;
+
+  if (limit < 1 || limit > 1000) {
+    return jsonResponse(400, { error: "Limit must be between 1 and 1000" });
+  }
+
+  const summaryResult = await pool.query(
+    `SELECT array_agg(DISTINCT detector) AS detectors,
+            MIN(masked_match) AS masked_match,
+            COUNT(*) AS findings,
+            COUNT(*) FILTER (WHERE status = 'open') AS open_findings,
+            COUNT(DISTINCT (bucket, key)) AS objects,
+            array_agg(DISTINCT bucket) AS buckets,
+            MIN(created_at) AS first_seen,
+            MAX(created_at) AS last_seen
+     FROM findings
+     WHERE fingerprint = $1`,
+    [fingerprint]
+  );
+  const summary = summaryResult.rows[0];
+  if (parseInt(summary.findings) === 0) {
+    return jsonResponse(404, { error: "Fingerprint not found" });
+  }
+
+  let query = `
+    SELECT id, job_id, bucket, key, entry_path, detector, byte_offset, line_number, column_number, location, status, resolved_at, created_at
+    FROM findings
+    WHERE fingerprint = $1`;
+  const values = [fingerprint];
+
+  if (cursor) {
+    values.push(cursor);
+    query += ` AND id > $${values.length}`;
+  }
+
+  values.push(limit);
+  query += ` ORDER BY id ASC LIMIT $${values.length}`;
+
+  const result = await pool.query(query, values);
+  const locations = result.rows.map((row) => ({
+    id: row.id.toString(),
+    job_id: row.job_id,
+    bucket: row.bucket,
+    key: row.key,
+    entry_path: row.entry_path || null,
+    detector: row.detector,
+    byte_offset: row.byte_offset !== null ? Number(row.byte_offset) : null,
+    line_number: row.line_number,
+    column_number: row.column_number,
+    location: row.location,
+    status: row.status,
+    resolved_at: row.resolved_at,
+    created_at: row.created_at,
+  }));
+
+  return jsonResponse(200, {
+    fingerprint,
+    detectors: summary.detectors,
+    masked_match: summary.masked_match,
+    findings: parseInt(summary.findings),
+    open_findings: parseInt(summary.open_findings),
+    objects: parseInt(summary.objects),
+    buckets: summary.buckets,
+    first_seen: summary.first_seen,
+    last_seen: summary.last_seen,
+    locations,
+    count: locations.length,
+    next_cursor:
+      locations.length === limit ? locations[locations.length - 1].id : null,
+  });
+}
+
+/**
+ * Close every open finding of a fingerprint, e.g. once the credential it
+ * identifies has been rotated. Later scans that find the value again open
+ * new findings.
+ */
+async function resolveFingerprint(pool, fingerprint, body) {
+  const note = body.note ?? null;
+  if (
+    note !== null &&
+    (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)
+  ) {
+    return jsonResponse(400, {
+      error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`,
+    });
+  }
+
+  const result = await pool.query(
+    `UPDATE findings
+     SET status = 'resolved', resolved_at = NOW(), resolution_note = $2
+     WHERE fingerprint = $1 AND status = 'open'`,
+    [fingerprint, note]
+  );
+
+  console.log(
+    `Resolved ${result.rowCount} finding(s) with fingerprint ${fingerprint}`
+  );
+  return jsonResponse(200, {
+    fingerprint,
+    resolved_count: result.rowCount,
+  });
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const routeKey = event.routeKey;
+    const fingerprint = event.pathParameters?.fingerprint;
+
+    if (!fingerprintRegex.test(fingerprint || "")) {
+      return jsonResponse(400, {
+        error: "fingerprint must be 64 hex characters",
+      });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    const pool = await getPool();
+
+    switch (routeKey) {
+      case "GET /fingerprints/{fingerprint}":
+        return await getFingerprint(
+          pool,
+          fingerprint,
+          event.queryStringParameters || {}
+        );
+      case "POST /fingerprints/{fingerprint}/resolve":
+        return await resolveFingerprint(pool, fingerprint, body);
+      default:
+        return jsonResponse(404, { error: `Unsupported route: ${routeKey}` });
+    }
+  } catch (error) {
+    console.error("Error handling fingerprints request:", error);
+
+    return jsonResponse(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
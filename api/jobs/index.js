@@ -1,4 +1,5 @@
 const { getPool } = require("./shared/db");
+const { jobFindingsCondition } = require("./shared/job-findings");
 
 exports.handler = async (event) => {
   console.log("Received event:", JSON.stringify(event));
@@ -27,7 +28,7 @@ exports.handler = async (event) => {
     const pool = await getPool();
 
     const jobQuery =
-      "SELECT job_id, bucket, prefix, created_at, updated_at FROM jobs WHERE job_id = $1";
+      "SELECT job_id, bucket, prefix, detectors, tag_objects, incremental, kind, schedule_id, enumeration_status, enumeration_error, created_at, updated_at FROM jobs WHERE job_id = $1";
     const jobResult = await pool.query(jobQuery, [jobId]);
 
     if (jobResult.rows.length === 0) {
@@ -53,29 +54,90 @@ exports.handler = async (event) => {
       processing: 0,
       succeeded: 0,
       failed: 0,
+      retrying: 0,
+      dead_lettered: 0,
+      skipped: 0,
+      superseded: 0,
     };
 
     countsResult.rows.forEach((row) => {
       counts[row.status] = parseInt(row.count);
     });
 
-    const totalCount =
-      counts.queued + counts.processing + counts.succeeded + counts.failed;
-    const completedCount = counts.succeeded + counts.failed;
+    const totalCount = Object.values(counts).reduce(
+      (total, count) => total + count,
+      0
+    );
+    // Retrying objects are not done yet; dead-lettered ones will not be
+    // retried again, skipped ones were unchanged since an earlier scan and
+    // superseded ones were overwritten before they were scanned
+    const completedCount =
+      counts.succeeded +
+      counts.failed +
+      counts.dead_lettered +
+      counts.skipped +
+      counts.superseded;
     const progress =
       totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
 
+    // Objects are counted as the enumerator records them, so the total
+    // grows until enumeration is complete; a listing that found nothing
+    // leaves the job completed
     let overallStatus = "running";
-    if (completedCount === totalCount && totalCount > 0) {
+    if (job.enumeration_status === "enumerating") {
+      overallStatus = "enumerating";
+    } else if (job.enumeration_status === "failed") {
+      overallStatus = "enumeration_failed";
+    } else if (completedCount === totalCount) {
       overallStatus = "completed";
     } else if (counts.queued === totalCount && totalCount > 0) {
       overallStatus = "pending";
     }
 
-    const findingsQuery =
-      "SELECT COUNT(*) as count FROM findings WHERE job_id = $1";
+    // Objects that failed because of their contents, e.g. EXTRACTION_FAILED,
+    // or ran out of attempts with a coded error
+    const failuresQuery = `
+      SELECT error_code, COUNT(*) as count
+      FROM job_objects
+      WHERE job_id = $1 AND status IN ('failed', 'dead_lettered')
+        AND error_code IS NOT NULL
+      GROUP BY error_code
+    `;
+    const failuresResult = await pool.query(failuresQuery, [jobId]);
+    const failuresByCode = {};
+    failuresResult.rows.forEach((row) => {
+      failuresByCode[row.error_code] = parseInt(row.count);
+    });
+
+    const findingsQuery = `
+      SELECT COUNT(*) FILTER (WHERE NOT test_data) as count,
+             COUNT(*) FILTER (WHERE test_data) as test_data_count
+      FROM findings
+      WHERE ${jobFindingsCondition("$1")}
+    `;
     const findingsResult = await pool.query(findingsQuery, [jobId]);
     const findingsCount = parseInt(findingsResult.rows[0].count);
+    const testDataCount = parseInt(findingsResult.rows[0].test_data_count);
+
+    const suppressedQuery = `
+      SELECT sc.rule_id, sr.reason, sc.detector, SUM(sc.count) as count
+      FROM suppressed_counts sc
+      LEFT JOIN suppression_rules sr ON sr.rule_id = sc.rule_id
+      WHERE sc.job_id = $1
+      GROUP BY sc.rule_id, sr.reason, sc.detector
+      ORDER BY count DESC
+    `;
+    const suppressedResult = await pool.query(suppressedQuery, [jobId]);
+    const suppressions = suppressedResult.rows.map((row) => ({
+      rule_id: row.rule_id,
+      reason: row.reason,
+      detector: row.detector,
+      count: parseInt(row.count),
+    }));
+    const suppressedCount = suppressions.reduce(
+      (total, suppression) => total + suppression.count,
+      0
+    );
 
     return {
       statusCode: 200,
@@ -84,7 +146,13 @@ exports.handler = async (event) => {
         job_id: job.job_id,
         bucket: job.bucket,
         prefix: job.prefix,
+        detectors: job.detectors,
+        tag_objects: job.tag_objects,
+        incremental: job.incremental,
+        kind: job.kind,
+        schedule_id: job.schedule_id,
         status: overallStatus,
+        enumeration_error: job.enumeration_error,
         created_at: job.created_at,
         updated_at: job.updated_at,
         progress: {
@@ -93,7 +161,11 @@ exports.handler = async (event) => {
           percentage: progress,
         },
         counts,
+        failures_by_code: failuresByCode,
         findings_count: findingsCount,
+        test_data_count: testDataCount,
+        suppressed_count: suppressedCount,
+        suppressions,
       }),
     };
   } catch (error) {
@@ -0,0 +1,455 @@
+const { SQSClient, SendMessageBatchCommand } = require("@aws-sdk/client-sqs");
+const { getPool } = require("./shared/db");
+const { SEVERITIES } = require("./shared/detectors");
+const { jobFindingsCondition } = require("./shared/job-findings");
+const { v4: uuidv4 } = require("uuid");
+
+const sqsClient = new SQSClient({
+  region: process.env.AWS_REGION || "us-east-1",
+});
+const QUEUE_URL = process.env.SQS_QUEUE_URL;
+
+// Actions from most to least restrictive. An object whose findings match
+// rules with different actions gets the most restrictive one.
+const ACTIONS = ["quarantine", "deny", "acl", "redact"];
+const MAX_RULES = 50;
+// Objects remediated per request, so the request finishes within the
+// Lambda timeout; narrow the rules or repeat the request for more
+const MAX_ACTIONS = 1000;
+// An object with an action in one of these states is not remediated again;
+// a unique index on remediation_actions enforces it
+const ACTIVE_STATUSES = ["pending", "applied", "reverting", "revert_failed"];
+
+const ACTION_COLUMNS =
+  "action_id, job_id, bucket, key, etag, action, detectors, status, quarantine_bucket, quarantine_key, source_version_id, delete_marker_version_id, redacted_etag, policy_sid, note, error_message, requested_at, applied_at, revert_requested_at, reverted_at";
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (typeof event.body === "string") {
+    return JSON.parse(event.body);
+  }
+  return event.body || {};
+}
+
+/**
+ * Validate the remediation rules of a request
+ * @returns {string|null} Error message, or null when the rules are valid
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return "rules must be a non-empty array";
+  }
+  if (rules.length > MAX_RULES) {
+    return `At most ${MAX_RULES} rules are allowed`;
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || typeof rule !== "object") {
+      return `rules[${index}] must be an object`;
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      return `rules[${index}].action must be one of ${ACTIONS.join(", ")}`;
+    }
+    if (rule.detector === undefined && rule.severity === undefined) {
+      return `rules[${index}] must have a detector or a severity`;
+    }
+    if (
+      rule.detector !== undefined &&
+      (typeof rule.detector !== "string" || rule.detector === "")
+    ) {
+      return `rules[${index}].detector must be a non-empty string`;
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      return `rules[${index}].severity must be one of ${SEVERITIES.join(", ")}`;
+    }
+  }
+
+  return null;
+}
+
+function ruleMatches(rule, finding) {
+  return (
+    (rule.detector === undefined || rule.detector === finding.detector) &&
+    (rule.severity === undefined || rule.severity === finding.severity)
+  );
+}
+
+/**
+ * Decide what to do with each object of a job that has open findings. Each
+ * finding takes the action of the first rule it matches.
+ * @returns {Promise<{actions: object[], skipped: object[]}>}
+ */
+async function planRemediation(pool, job, rules) {
+  // Test data and low-confidence findings never trigger an action
+  const findingsResult = await pool.query(
+    `SELECT bucket, key, detector, MIN(severity) AS severity,
+            COUNT(*) AS findings, bool_or(entry_path <> '') AS in_archive
+     FROM findings
+     WHERE ${jobFindingsCondition("$1")} AND status = 'open'
+       AND test_data = FALSE AND low_confidence = FALSE
+     GROUP BY bucket, key, detector
+     ORDER BY bucket, key, detector`,
+    [job.job_id]
+  );
+
+  const objects = new Map();
+  for (const row of findingsResult.rows) {
+    const rule = rules.find((candidate) => ruleMatches(candidate, row));
+    if (!rule) {
+      continue;
+    }
+
+    const objectKey = `${row.bucket}/${row.key}`;
+    const object = objects.get(objectKey) || {
+      bucket: row.bucket,
+      key: row.key,
+      action: rule.action,
+      detectors: [],
+      findings: 0,
+      in_archive: false,
+    };
+    if (ACTIONS.indexOf(rule.action) < ACTIONS.indexOf(object.action)) {
+      object.action = rule.action;
+    }
+    object.detectors.push(row.detector);
+    object.findings += parseInt(row.findings);
+    object.in_archive = object.in_archive || row.in_archive;
+    objects.set(objectKey, object);
+  }
+
+  if (objects.size === 0) {
+    return { actions: [], skipped: [] };
+  }
+
+  const keys = Array.from(objects.values(), (object) => object.key);
+  const scannedResult = await pool.query(
+    `SELECT DISTINCT ON (key) key, etag, detected_type
+     FROM job_objects
+     WHERE job_id = $1 AND key = ANY($2)
+     ORDER BY key, updated_at DESC`,
+    [job.job_id, keys]
+  );
+  const scanned = new Map(scannedResult.rows.map((row) => [row.key, row]));
+
+  const activeResult = await pool.query(
+    `SELECT action_id, key, action, status
+     FROM remediation_actions
+     WHERE bucket = $1 AND key = ANY($2) AND status = ANY($3)`,
+    [job.bucket, keys, ACTIVE_STATUSES]
+  );
+  const active = new Map(activeResult.rows.map((row) => [row.key, row]));
+
+  const actions = [];
+  const skipped = [];
+  for (const object of objects.values()) {
+    const detectedType = scanned.get(object.key)?.detected_type;
+    const plan = {
+      bucket: object.bucket,
+      key: object.key,
+      etag: scanned.get(object.key)?.etag || null,
+      action: object.action,
+      detectors: object.detectors,
+      findings: object.findings,
+    };
+
+    const existing = active.get(object.key);
+    if (existing) {
+      skipped.push({
+        ...plan,
+        reason: `Already remediated: ${existing.action} action ${existing.action_id} is ${existing.status}`,
+      });
+    } else if (
+      object.action === "redact" &&
+      (object.in_archive || detectedType !== "text")
+    ) {
+      skipped.push({
+        ...plan,
+        reason: `Only plain text objects can be redacted, not ${
+          object.in_archive ? "archives" : detectedType
+        }`,
+      });
+    } else {
+      actions.push(plan);
+    }
+  }
+
+  return { actions, skipped };
+}
+
+/**
+ * Queue actions for the workers
+ * @returns {Promise<string[]>} IDs of the actions that could not be queued
+ */
+async function enqueueActions(actionIds, remediation) {
+  const unsent = [];
+
+  for (let i = 0; i < actionIds.length; i += 10) {
+    const batch = actionIds.slice(i, i + 10);
+    const entries = batch.map((actionId, index) => ({
+      Id: `${index}`,
+      MessageBody: JSON.stringify({ action_id: actionId, remediation }),
+    }));
+
+    try {
+      const response = await sqsClient.send(
+        new SendMessageBatchCommand({ QueueUrl: QUEUE_URL, Entries: entries })
+      );
+      if (response.Failed && response.Failed.length > 0) {
+        console.error("Failed to send some messages:", response.Failed);
+        unsent.push(...response.Failed.map((entry) => batch[entry.Id]));
+      }
+    } catch (error) {
+      console.error("Error sending batch to SQS:", error);
+      unsent.push(...batch);
+    }
+  }
+
+  return unsent;
+}
+
+async function remediateJob(pool, jobId, body) {
+  const dryRun = body.dry_run ?? true;
+  if (typeof dryRun !== "boolean") {
+    return jsonResponse(400, { error: "dry_run must be a boolean" });
+  }
+
+  const rulesError = validateRules(body.rules);
+  if (rulesError) {
+    return jsonResponse(400, { error: rulesError });
+  }
+
+  const jobResult = await pool.query(
+    "SELECT job_id, bucket FROM jobs WHERE job_id = $1",
+    [jobId]
+  );
+  if (jobResult.rows.length === 0) {
+    return jsonResponse(404, { error: "Job not found" });
+  }
+
+  const { actions, skipped } = await planRemediation(
+    pool,
+    jobResult.rows[0],
+    body.rules
+  );
+
+  if (dryRun) {
+    return jsonResponse(200, {
+      job_id: jobId,
+      dry_run: true,
+      actions,
+      skipped,
+      count: actions.length,
+    });
+  }
+
+  if (actions.length > MAX_ACTIONS) {
+    return jsonResponse(400, {
+      error: `The rules select ${actions.length} objects; at most ${MAX_ACTIONS} can be remediated per request`,
+    });
+  }
+
+  for (const action of actions) {
+    action.action_id = uuidv4();
+    action.status = "pending";
+  }
+
+  const recorded = [];
+  if (actions.length > 0) {
+    // Objects a concurrent request has just remediated conflict with its
+    // actions, and are skipped
+    const insertResult = await pool.query(
+      `INSERT INTO remediation_actions (action_id, job_id, bucket, key, etag, action, detectors)
+       SELECT action_id, $1, bucket, key, etag, action, string_to_array(detectors, ',')
+       FROM unnest($2::uuid[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[])
+         AS t(action_id, bucket, key, etag, action, detectors)
+       ON CONFLICT DO NOTHING
+       RETURNING action_id`,
+      [
+        jobId,
+        actions.map((action) => action.action_id),
+        actions.map((action) => action.bucket),
+        actions.map((action) => action.key),
+        actions.map((action) => action.etag),
+        actions.map((action) => action.action),
+        actions.map((action) => action.detectors.join(",")),
+      ]
+    );
+    const inserted = new Set(insertResult.rows.map((row) => row.action_id));
+    for (const action of actions) {
+      if (inserted.has(action.action_id)) {
+        recorded.push(action);
+      } else {
+        const { action_id, status, ...plan } = action;
+        skipped.push({
+          ...plan,
+          reason: "Already remediated by a concurrent request",
+        });
+      }
+    }
+
+    // Actions that are not queued would stay pending, and block their
+    // objects, for good
+    const unsent = await enqueueActions(
+      recorded.map((action) => action.action_id),
+      "apply"
+    );
+    if (unsent.length > 0) {
+      const error = "Could not be queued for the workers";
+      await pool.query(
+        `UPDATE remediation_actions
+         SET status = 'failed', error_message = $2, updated_at = NOW()
+         WHERE action_id = ANY($1) AND status = 'pending'`,
+        [unsent, error]
+      );
+      for (const action of recorded) {
+        if (unsent.includes(action.action_id)) {
+          action.status = "failed";
+          action.error_message = error;
+        }
+      }
+    }
+  }
+
+  console.log(
+    `Queued ${
+      recorded.filter((action) => action.status === "pending").length
+    } remediation action(s) for job ${jobId}, skipped ${skipped.length}`
+  );
+  return jsonResponse(202, {
+    job_id: jobId,
+    dry_run: false,
+    actions: recorded,
+    skipped,
+    count: recorded.length,
+  });
+}
+
+/**
+ * The audit trail of a job's remediation actions
+ */
+async function listActions(pool, jobId, params) {
+  const limit = parseInt(params.limit || "100");
+  const offset = params.cursor ? parseInt(params.cursor) : 0;
+
+  if (limit < 1 || limit > 1000) {
+    return jsonResponse(400, { error: "Limit must be between 1 and 1000" });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return jsonResponse(400, { error: "Invalid cursor" });
+  }
+
+  const result = await pool.query(
+    `SELECT ${ACTION_COLUMNS}
+     FROM remediation_actions
+     WHERE job_id = $1
+     ORDER BY requested_at ASC, action_id ASC
+     LIMIT $2 OFFSET $3`,
+    [jobId, limit, offset]
+  );
+
+  return jsonResponse(200, {
+    actions: result.rows,
+    count: result.rows.length,
+    next_cursor:
+      result.rows.length === limit ? String(offset + result.rows.length) : null,
+  });
+}
+
+async function revertAction(pool, actionId) {
+  const result = await pool.query(
+    `UPDATE remediation_actions
+     SET status = 'reverting', revert_requested_at = NOW(),
+         error_message = NULL, updated_at = NOW()
+     WHERE action_id = $1 AND status IN ('applied', 'revert_failed')
+     RETURNING ${ACTION_COLUMNS}`,
+    [actionId]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await pool.query(
+      "SELECT status FROM remediation_actions WHERE action_id = $1",
+      [actionId]
+    );
+    if (existing.rows.length === 0) {
+      return jsonResponse(404, { error: "Remediation action not found" });
+    }
+    return jsonResponse(409, {
+      error: `Only applied actions can be reverted; this action is ${existing.rows[0].status}`,
+    });
+  }
+
+  const unsent = await enqueueActions([actionId], "revert");
+  if (unsent.length > 0) {
+    // Left to be retried like a revert that failed
+    await pool.query(
+      `UPDATE remediation_actions
+       SET status = 'revert_failed', error_message = $2, updated_at = NOW()
+       WHERE action_id = $1 AND status = 'reverting'`,
+      [actionId, "Could not be queued for the workers"]
+    );
+    return jsonResponse(503, {
+      error: "The revert could not be queued; retry it",
+    });
+  }
+
+  console.log(`Queued revert of remediation action ${actionId}`);
+  return jsonResponse(202, result.rows[0]);
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const routeKey = event.routeKey;
+    const jobId = event.pathParameters?.job_id;
+    const actionId = event.pathParameters?.action_id;
+
+    if (jobId !== undefined && !uuidRegex.test(jobId)) {
+      return jsonResponse(400, { error: "Invalid job_id format" });
+    }
+    if (actionId !== undefined && !uuidRegex.test(actionId)) {
+      return jsonResponse(400, { error: "Invalid action_id format" });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    const pool = await getPool();
+
+    switch (routeKey) {
+      case "POST /jobs/{job_id}/remediate":
+        return await remediateJob(pool, jobId, body);
+      case "GET /jobs/{job_id}/remediations":
+        return await listActions(
+          pool,
+          jobId,
+          event.queryStringParameters || {}
+        );
+      case "POST /remediations/{action_id}/revert":
+        return await revertAction(pool, actionId);
+      default:
+        return jsonResponse(404, { error: `Unsupported route: ${routeKey}` });
+    }
+  } catch (error) {
+    console.error("Error handling remediation request:", error);
+
+    return jsonResponse(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
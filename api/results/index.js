@@ -1,81 +1,347 @@
 const { getPool } = require("./shared/db");
+const { SEVERITIES } = require("./shared/detectors");
+const { jobFindingsCondition } = require("./shared/job-findings");
 
-exports.handler = async (event) => {
-  console.log("Received event:", JSON.stringify(event));
-
-  try {
-    const params = event.queryStringParameters || {};
-    const bucket = params.bucket;
-    const prefix = params.prefix;
-    const limit = parseInt(params.limit || "100");
-    const cursor = params.cursor ? parseInt(params.cursor) : null;
-
-    if (limit < 1 || limit > 1000) {
-      return {
-        statusCode: 400,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ error: "Limit must be between 1 and 1000" }),
-      };
-    }
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const fingerprintRegex = /^[0-9a-f]{64}$/;
 
-    let query =
-      "SELECT id, job_id, bucket, key, detector, masked_match, context, byte_offset, created_at FROM findings WHERE 1=1";
-    const values = [];
-    let paramIndex = 1;
+const FINDING_STATUSES = ["open", "resolved", "superseded"];
 
-    if (bucket) {
-      query += ` AND bucket = $${paramIndex}`;
-      values.push(bucket);
-      paramIndex++;
-    }
+const FINDING_COLUMNS =
+  "id, job_id, bucket, key, entry_path, detector, severity, masked_match, context, byte_offset, line_number, column_number, location, confidence, low_confidence, test_data, fingerprint, components, ruleset_version, status, resolved_at, created_at";
 
-    if (prefix) {
-      query += ` AND key LIKE $${paramIndex}`;
-      values.push(`${prefix}%`);
-      paramIndex++;
-    }
+function badRequest(error) {
+  return {
+    statusCode: 400,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ error }),
+  };
+}
 
-    if (cursor) {
-      query += ` AND id > $${paramIndex}`;
-      values.push(cursor);
-      paramIndex++;
-    }
+/**
+ * Roll findings up to the column or field they were found in, per bucket
+ * and key prefix ("directory"), so data owners can fix a schema instead of
+ * individual rows
+ */
+async function getColumnSummary(params) {
+  const limit = parseInt(params.limit || "100");
 
-    query += ` ORDER BY id ASC LIMIT $${paramIndex}`;
-    values.push(limit);
-
-    console.log("Query:", query);
-    console.log("Values:", values);
-
-    const pool = await getPool();
-    const result = await pool.query(query, values);
-
-    const findings = result.rows.map((row) => ({
-      id: row.id.toString(),
-      job_id: row.job_id,
-      bucket: row.bucket,
-      key: row.key,
-      detector: row.detector,
-      masked_match: row.masked_match,
-      context: row.context,
-      byte_offset: row.byte_offset,
-      created_at: row.created_at,
-    }));
-
-    let nextCursor = null;
-    if (findings.length === limit) {
-      nextCursor = findings[findings.length - 1].id;
-    }
+  if (limit < 1 || limit > 1000) {
+    return {
+      statusCode: 400,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ error: "Limit must be between 1 and 1000" }),
+    };
+  }
 
+  if (params.job_id && !uuidRegex.test(params.job_id)) {
     return {
-      statusCode: 200,
+      statusCode: 400,
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        findings,
-        count: findings.length,
-        next_cursor: nextCursor,
-      }),
+      body: JSON.stringify({ error: "Invalid job_id format" }),
     };
+  }
+
+  let query = `
+    SELECT bucket,
+           regexp_replace(key, '[^/]*$', '') AS prefix,
+           location->>'column' AS column_name,
+           detector,
+           COUNT(*) AS findings,
+           COUNT(DISTINCT key) AS objects,
+           MIN(key) AS example_key
+    FROM findings
+    WHERE location->>'column' IS NOT NULL AND NOT test_data`;
+  const values = [];
+  let paramIndex = 1;
+
+  if (params.bucket) {
+    query += ` AND bucket = $${paramIndex}`;
+    values.push(params.bucket);
+    paramIndex++;
+  }
+
+  if (params.prefix) {
+    query += ` AND key LIKE $${paramIndex}`;
+    values.push(`${params.prefix}%`);
+    paramIndex++;
+  }
+
+  if (params.job_id) {
+    query += ` AND ${jobFindingsCondition(`$${paramIndex}`)}`;
+    values.push(params.job_id);
+    paramIndex++;
+  }
+
+  if (params.detector) {
+    query += ` AND detector = $${paramIndex}`;
+    values.push(params.detector);
+    paramIndex++;
+  }
+
+  query += ` GROUP BY 1, 2, 3, 4 ORDER BY findings DESC, bucket, prefix, column_name LIMIT $${paramIndex}`;
+  values.push(limit);
+
+  const pool = await getPool();
+  const result = await pool.query(query, values);
+
+  const columns = result.rows.map((row) => ({
+    bucket: row.bucket,
+    prefix: row.prefix,
+    column: row.column_name,
+    detector: row.detector,
+    findings: parseInt(row.findings),
+    objects: parseInt(row.objects),
+    example_key: row.example_key,
+  }));
+
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ columns, count: columns.length }),
+  };
+}
+
+/**
+ * Validate the filters shared by the findings listing and the fingerprint
+ * grouping
+ * @returns {string|null} Error message
+ */
+function validateFindingFilters(params) {
+  if (params.job_id && !uuidRegex.test(params.job_id)) {
+    return "Invalid job_id format";
+  }
+
+  if (params.severity && !SEVERITIES.includes(params.severity)) {
+    return `severity must be one of: ${SEVERITIES.join(", ")}`;
+  }
+
+  if (params.status && !FINDING_STATUSES.includes(params.status)) {
+    return `status must be one of: ${FINDING_STATUSES.join(", ")}`;
+  }
+
+  if (params.fingerprint && !fingerprintRegex.test(params.fingerprint)) {
+    return "fingerprint must be 64 hex characters";
+  }
+
+  if (params.min_confidence !== undefined) {
+    const minConfidence = parseFloat(params.min_confidence);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      return "min_confidence must be a number between 0 and 1";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the WHERE conditions for the findings filters
+ * @param {object} params - Query string parameters
+ * @param {Array} values - Query parameters, appended to
+ * @returns {string} Conditions, each starting with " AND"
+ */
+function buildFindingFilters(params, values) {
+  let conditions = "";
+  const addCondition = (sql, value) => {
+    values.push(value);
+    conditions += ` AND ${sql.replace("?", `$${values.length}`)}`;
+  };
+
+  if (params.job_id) {
+    values.push(params.job_id);
+    conditions += ` AND ${jobFindingsCondition(`$${values.length}`)}`;
+  }
+
+  if (params.bucket) {
+    addCondition("bucket = ?", params.bucket);
+  }
+
+  if (params.prefix) {
+    addCondition("key LIKE ?", `${params.prefix}%`);
+  }
+
+  // Known test values are hidden unless asked for
+  if (params.include_test_data !== "true") {
+    conditions += " AND NOT test_data";
+  }
+
+  if (params.severity) {
+    addCondition("severity = ?", params.severity);
+  }
+
+  if (params.status) {
+    addCondition("status = ?", params.status);
+  }
+
+  if (params.fingerprint) {
+    addCondition("fingerprint = ?", params.fingerprint);
+  }
+
+  if (params.min_confidence !== undefined) {
+    addCondition("confidence >= ?", parseFloat(params.min_confidence));
+  }
+
+  return conditions;
+}
+
+/**
+ * Group findings by fingerprint, so that each distinct leaked value is
+ * listed once with how often and where it was seen, most widespread first
+ */
+async function listFingerprintGroups(params) {
+  const limit = parseInt(params.limit || "100");
+  const offset = params.cursor ? parseInt(params.cursor) : 0;
+
+  if (limit < 1 || limit > 1000) {
+    return badRequest("Limit must be between 1 and 1000");
+  }
+  if (Number.isNaN(offset) || offset < 0) {
+    return badRequest("Invalid cursor");
+  }
+
+  const filtersError = validateFindingFilters(params);
+  if (filtersError) {
+    return badRequest(filtersError);
+  }
+
+  const values = [];
+  const conditions = buildFindingFilters(params, values);
+  values.push(limit, offset);
+
+  const query = `
+    SELECT fingerprint,
+           detector,
+           MIN(severity) AS severity,
+           MIN(masked_match) AS masked_match,
+           COUNT(*) AS findings,
+           COUNT(*) FILTER (WHERE status = 'open') AS open_findings,
+           COUNT(DISTINCT (bucket, key)) AS objects,
+           MIN(created_at) AS first_seen,
+           MAX(created_at) AS last_seen
+    FROM findings
+    WHERE fingerprint IS NOT NULL${conditions}
+    GROUP BY fingerprint, detector
+    ORDER BY findings DESC, fingerprint
+    LIMIT $${values.length - 1} OFFSET $${values.length}`;
+
+  const pool = await getPool();
+  const result = await pool.query(query, values);
+
+  const fingerprints = result.rows.map((row) => ({
+    fingerprint: row.fingerprint,
+    detector: row.detector,
+    severity: row.severity,
+    masked_match: row.masked_match,
+    findings: parseInt(row.findings),
+    open_findings: parseInt(row.open_findings),
+    objects: parseInt(row.objects),
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+  }));
+
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      fingerprints,
+      count: fingerprints.length,
+      next_cursor:
+        fingerprints.length === limit ? String(offset + limit) : null,
+    }),
+  };
+}
+
+async function listFindings(params) {
+  const limit = parseInt(params.limit || "100");
+  const cursor = params.cursor ? parseInt(params.cursor) : null;
+
+  if (limit < 1 || limit > 1000) {
+    return badRequest("Limit must be between 1 and 1000");
+  }
+
+  const filtersError = validateFindingFilters(params);
+  if (filtersError) {
+    return badRequest(filtersError);
+  }
+
+  const values = [];
+  const conditions = buildFindingFilters(params, values);
+  let query = `SELECT ${FINDING_COLUMNS} FROM findings WHERE 1=1${conditions}`;
+  let paramIndex = values.length + 1;
+
+  if (cursor) {
+    query += ` AND id > $${paramIndex}`;
+    values.push(cursor);
+    paramIndex++;
+  }
+
+  query += ` ORDER BY id ASC LIMIT $${paramIndex}`;
+  values.push(limit);
+
+  console.log("Query:", query);
+  console.log("Values:", values);
+
+  const pool = await getPool();
+  const result = await pool.query(query, values);
+
+  const findings = result.rows.map((row) => ({
+    id: row.id.toString(),
+    job_id: row.job_id,
+    bucket: row.bucket,
+    key: row.key,
+    entry_path: row.entry_path || null,
+    detector: row.detector,
+    severity: row.severity,
+    masked_match: row.masked_match,
+    context: row.context,
+    byte_offset: row.byte_offset !== null ? Number(row.byte_offset) : null,
+    line_number: row.line_number,
+    column_number: row.column_number,
+    location: row.location,
+    confidence: row.confidence !== null ? Number(row.confidence) : null,
+    low_confidence: row.low_confidence,
+    test_data: row.test_data,
+    fingerprint: row.fingerprint,
+    components: row.components,
+    ruleset_version: row.ruleset_version,
+    status: row.status,
+    resolved_at: row.resolved_at,
+    created_at: row.created_at,
+  }));
+
+  let nextCursor = null;
+  if (findings.length === limit) {
+    nextCursor = findings[findings.length - 1].id;
+  }
+
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      findings,
+      count: findings.length,
+      next_cursor: nextCursor,
+    }),
+  };
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (event.routeKey === "GET /results/columns") {
+      return await getColumnSummary(params);
+    }
+    if (params.group_by === "fingerprint") {
+      return await listFingerprintGroups(params);
+    }
+    if (params.group_by !== undefined) {
+      return badRequest("group_by must be fingerprint");
+    }
+    return await listFindings(params);
   } catch (error) {
     console.error("Error retrieving results:", error);
 
@@ -1,76 +1,189 @@
-const { S3Client, ListObjectsV2Command } = require("@aws-sdk/client-s3");
-const { SQSClient, SendMessageBatchCommand } = require("@aws-sdk/client-sqs");
 const { getPool } = require("./shared/db");
+const { BUILTIN_DETECTOR_NAMES } = require("./shared/detectors");
+const {
+  getCurrentRulesetVersion,
+  outdatedCondition,
+} = require("./shared/rulesets");
+const {
+  enqueueObjects,
+  validateScanParameters,
+  createScanJob,
+} = require("./shared/scan-jobs");
 const { v4: uuidv4 } = require("uuid");
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || "us-east-1",
-});
-const sqsClient = new SQSClient({
-  region: process.env.AWS_REGION || "us-east-1",
-});
-const QUEUE_URL = process.env.SQS_QUEUE_URL;
-
-async function listS3Objects(bucket, prefix = "") {
-  const objects = [];
-  let continuationToken = null;
-
-  do {
-    const command = new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: prefix,
-      MaxKeys: 1000,
-      ContinuationToken: continuationToken,
-    });
+// Objects re-enqueued per rescan request, so the request finishes within
+// the Lambda timeout; repeat the request for more
+const MAX_RESCAN_OBJECTS = 10000;
 
-    const response = await s3Client.send(command);
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
 
-    if (response.Contents) {
-      objects.push(...response.Contents.filter((obj) => obj.Size > 0)); // Filter out empty objects
+/**
+ * Re-enqueue the objects last scanned with an older definition of one of
+ * their job's detectors than the current ruleset's. They are scanned in new
+ * jobs with the detectors and options of the jobs that last scanned them.
+ */
+async function rescan(body) {
+  const { bucket, prefix, detector } = body;
+
+  for (const [name, value] of Object.entries({ bucket, prefix, detector })) {
+    if (value !== undefined && (typeof value !== "string" || value === "")) {
+      return jsonResponse(400, { error: `${name} must be a non-empty string` });
     }
+  }
 
-    continuationToken = response.NextContinuationToken;
-  } while (continuationToken);
+  const pool = await getPool();
 
-  return objects;
-}
+  if (detector !== undefined && !BUILTIN_DETECTOR_NAMES.includes(detector)) {
+    const customResult = await pool.query(
+      "SELECT 1 FROM custom_detectors WHERE name = $1",
+      [detector]
+    );
+    if (customResult.rows.length === 0) {
+      return jsonResponse(400, { error: `Unknown detector: ${detector}` });
+    }
+  }
 
-async function enqueueObjects(jobId, bucket, objects) {
-  const batchSize = 10; // SQS max batch size
-  let sentCount = 0;
+  const rulesetVersion = await getCurrentRulesetVersion(pool);
+  if (!rulesetVersion) {
+    return jsonResponse(409, {
+      error: "No ruleset has been recorded yet; nothing has been scanned",
+    });
+  }
 
-  for (let i = 0; i < objects.length; i += batchSize) {
-    const batch = objects.slice(i, i + batchSize);
+  const values = [rulesetVersion];
+  let objectFilters = "";
+  if (bucket) {
+    values.push(bucket);
+    objectFilters += ` AND jo.bucket = $${values.length}`;
+  }
+  if (prefix) {
+    // %, _ and \ in the prefix match themselves
+    values.push(`${prefix.replace(/[\\%_]/g, "\\$&")}%`);
+    objectFilters += ` AND jo.key LIKE $${values.length} ESCAPE '\\'`;
+  }
 
-    const entries = batch.map((obj, index) => ({
-      Id: `${i + index}`,
-      MessageBody: JSON.stringify({
-        job_id: jobId,
-        bucket: bucket,
-        key: obj.Key,
-        etag: obj.ETag?.replace(/"/g, ""),
-      }),
-    }));
-
-    try {
-      const command = new SendMessageBatchCommand({
-        QueueUrl: QUEUE_URL,
-        Entries: entries,
-      });
-
-      const response = await sqsClient.send(command);
-      sentCount += response.Successful?.length || 0;
-
-      if (response.Failed && response.Failed.length > 0) {
-        console.error("Failed to send some messages:", response.Failed);
-      }
-    } catch (error) {
-      console.error("Error sending batch to SQS:", error);
-      throw error;
+  // Only objects whose last scan ran the detector, when it has changed since
+  let detectorParam = null;
+  if (detector) {
+    values.push(detector);
+    detectorParam = `$${values.length}`;
+  }
+
+  // An object a rescan could not queue is picked up again by its last scan
+  values.push(MAX_RESCAN_OBJECTS + 1);
+  const result = await pool.query(
+    `SELECT bucket, key, etag, detectors, tag_objects
+     FROM (
+       SELECT DISTINCT ON (jo.bucket, jo.key) jo.bucket, jo.key, jo.etag,
+              jo.status, jo.ruleset_version, j.detectors, j.tag_objects
+       FROM job_objects jo
+       JOIN jobs j ON j.job_id = jo.job_id
+       WHERE jo.error_code IS DISTINCT FROM 'ENQUEUE_FAILED'${objectFilters}
+       ORDER BY jo.bucket, jo.key, jo.updated_at DESC
+     ) latest
+     WHERE status IN ('succeeded', 'skipped')
+       AND ${outdatedCondition(
+         "latest.ruleset_version",
+         "latest.detectors",
+         "$1",
+         detectorParam
+       )}
+     ORDER BY bucket, key
+     LIMIT $${values.length}`,
+    values
+  );
+
+  const truncated = result.rows.length > MAX_RESCAN_OBJECTS;
+  const rows = result.rows.slice(0, MAX_RESCAN_OBJECTS);
+
+  // One job per bucket and set of job options
+  const groups = new Map();
+  for (const row of rows) {
+    const groupKey = JSON.stringify([
+      row.bucket,
+      row.detectors,
+      row.tag_objects,
+    ]);
+    const group = groups.get(groupKey) || {
+      bucket: row.bucket,
+      detectors: row.detectors,
+      tag_objects: row.tag_objects,
+      objects: [],
+    };
+    group.objects.push({ Key: row.key, ETag: row.etag });
+    groups.set(groupKey, group);
+  }
+
+  const jobs = [];
+  for (const group of groups.values()) {
+    const jobId = uuidv4();
+    const now = new Date().toISOString();
+
+    await pool.query(
+      "INSERT INTO jobs (job_id, bucket, prefix, detectors, tag_objects, kind, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, 'rescan', $6, $7)",
+      [
+        jobId,
+        group.bucket,
+        prefix || null,
+        group.detectors,
+        group.tag_objects,
+        now,
+        now,
+      ]
+    );
+    await pool.query(
+      `INSERT INTO job_objects (job_id, bucket, key, etag, status, updated_at)
+       SELECT $1, $2, key, etag, 'queued', $5
+       FROM unnest($3::text[], $4::text[]) AS t(key, etag)
+       ON CONFLICT (job_id, bucket, key, etag) DO NOTHING`,
+      [
+        jobId,
+        group.bucket,
+        group.objects.map((obj) => obj.Key),
+        group.objects.map((obj) => obj.ETag),
+        now,
+      ]
+    );
+
+    // Objects that could not be queued would keep the job from finishing
+    const unsent = await enqueueObjects(jobId, group.bucket, group.objects);
+    if (unsent.length > 0) {
+      await pool.query(
+        `UPDATE job_objects
+         SET status = 'failed', error_code = 'ENQUEUE_FAILED',
+             error_message = 'Could not be queued for scanning; rescan again',
+             updated_at = NOW()
+         WHERE job_id = $1 AND bucket = $2 AND key = ANY($3::text[])`,
+        [jobId, group.bucket, unsent.map((obj) => obj.Key)]
+      );
     }
+    const sentCount = group.objects.length - unsent.length;
+    console.log(
+      `Rescan job ${jobId}: enqueued ${sentCount} of ${group.objects.length} objects in ${group.bucket}`
+    );
+
+    jobs.push({
+      job_id: jobId,
+      bucket: group.bucket,
+      detectors: group.detectors,
+      tag_objects: group.tag_objects,
+      object_count: group.objects.length,
+      enqueued_count: sentCount,
+    });
   }
 
-  return sentCount;
+  return jsonResponse(200, {
+    ruleset_version: rulesetVersion,
+    object_count: rows.length,
+    truncated,
+    jobs,
+  });
 }
 
 exports.handler = async (event) => {
@@ -84,69 +197,32 @@ exports.handler = async (event) => {
       body = event.body || {};
     }
 
-    const { bucket, prefix } = body;
-
-    if (!bucket) {
-      return {
-        statusCode: 400,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ error: "Missing required field: bucket" }),
-      };
+    if (event.routeKey === "POST /rescan") {
+      return await rescan(body);
     }
 
-    const jobId = uuidv4();
-    const now = new Date().toISOString();
-
-    console.log(
-      `Creating scan job ${jobId} for bucket: ${bucket}, prefix: ${
-        prefix || "(none)"
-      }`
-    );
-
     const pool = await getPool();
-    await pool.query(
-      "INSERT INTO jobs (job_id, bucket, prefix, created_at, updated_at) VALUES ($1, $2, $3, $4, $5)",
-      [jobId, bucket, prefix || null, now, now]
-    );
 
-    console.log("Listing S3 objects...");
-    const objects = await listS3Objects(bucket, prefix || "");
-    console.log(`Found ${objects.length} objects`);
-
-    if (objects.length === 0) {
+    const validationError = await validateScanParameters(pool, body);
+    if (validationError) {
       return {
-        statusCode: 200,
+        statusCode: 400,
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          job_id: jobId,
-          message: "No objects found to scan",
-          object_count: 0,
-        }),
+        body: JSON.stringify({ error: validationError }),
       };
     }
 
-    console.log("Inserting job_objects records...");
-    for (const obj of objects) {
-      await pool.query(
-        `INSERT INTO job_objects (job_id, bucket, key, etag, status, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         ON CONFLICT (job_id, bucket, key, etag) DO NOTHING`,
-        [jobId, bucket, obj.Key, obj.ETag?.replace(/"/g, ""), "queued", now]
-      );
-    }
-
-    console.log("Enqueueing messages to SQS...");
-    const sentCount = await enqueueObjects(jobId, bucket, objects);
-    console.log(`Enqueued ${sentCount} messages`);
+    // Objects are listed and queued in the background, so that buckets
+    // of any size fit within the API timeouts
+    const job = await createScanJob(pool, body);
 
     return {
-      statusCode: 200,
+      statusCode: 202,
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
-        job_id: jobId,
-        message: "Scan initiated successfully",
-        object_count: objects.length,
-        enqueued_count: sentCount,
+        job_id: job.job_id,
+        status: "enumerating",
+        message: "Scan accepted; objects are being listed and queued",
       }),
     };
   } catch (error) {
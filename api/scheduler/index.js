@@ -0,0 +1,227 @@
+const { getPool } = require("./shared/db");
+const { validateScanParameters, createScanJob } = require("./shared/scan-jobs");
+const { parseCron, nextCronOccurrence } = require("./shared/cron");
+
+// How late an occurrence can be run before it counts as missed. The
+// scheduler runs every minute, so occurrences are normally handled within
+// a minute or two.
+const MISSED_RUN_GRACE_SECONDS = parseInt(
+  process.env.MISSED_RUN_GRACE_SECONDS || "900"
+);
+
+// How long an enumeration can go without listing a page or an enumerator
+// taking it up before it counts as stalled. Longer than the enumeration
+// queue's visibility timeout, after which a failed enumerator's message is
+// delivered again; an enumerator that dies on the last delivery leaves its
+// message in the dead-letter queue and the job enumerating.
+const ENUMERATION_STALL_SECONDS = parseInt(
+  process.env.ENUMERATION_STALL_SECONDS || "1920"
+);
+
+const SCHEDULE_COLUMNS =
+  "schedule_id, name, cron, bucket, prefix, detectors, tag_objects, incremental, overlap_policy, missed_run_policy, next_run_at";
+
+/**
+ * The occurrences of a schedule that are due: from its next_run_at up to
+ * now. Only the latest is run; the earlier ones were missed.
+ * @returns {{latest: Date, missedCount: number, nextRunAt: Date|null}}
+ */
+function dueOccurrences(schedule, now) {
+  const cron = parseCron(schedule.cron);
+  let latest = schedule.next_run_at;
+  let missedCount = 0;
+  let next = nextCronOccurrence(cron, latest);
+
+  while (next && next <= now) {
+    latest = next;
+    missedCount++;
+    next = nextCronOccurrence(cron, next);
+  }
+
+  return { latest, missedCount, nextRunAt: next };
+}
+
+/**
+ * Mark failed the enumerations no enumerator has worked on for
+ * ENUMERATION_STALL_SECONDS, so that their jobs do not stay enumerating and
+ * keep schedules that skip overlapping runs from running
+ * @returns {Promise<string[]>} IDs of the jobs marked failed
+ */
+async function failStalledEnumerations(pool) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET enumeration_status = 'failed', enumeration_lease_until = NULL,
+         enumeration_error = COALESCE(enumeration_error || '; ', '') ||
+           'Enumeration stalled: no progress for ' || $1::integer || ' seconds',
+         updated_at = NOW()
+     WHERE enumeration_status = 'enumerating'
+       AND (enumeration_lease_until IS NULL
+            OR enumeration_lease_until < NOW())
+       AND updated_at < NOW() - $1::integer * INTERVAL '1 second'
+     RETURNING job_id`,
+    [ENUMERATION_STALL_SECONDS]
+  );
+  return result.rows.map((row) => row.job_id);
+}
+
+/**
+ * The most recent job of a schedule that is still listing its objects or
+ * has objects left to scan
+ * @returns {Promise<string|null>} Job ID
+ */
+async function findRunningJob(pool, scheduleId) {
+  const result = await pool.query(
+    `SELECT j.job_id
+     FROM jobs j
+     WHERE j.schedule_id = $1
+       AND (j.enumeration_status = 'enumerating'
+            OR EXISTS (
+              SELECT 1 FROM job_objects jo
+              WHERE jo.job_id = j.job_id
+                AND jo.status IN ('queued', 'processing', 'retrying')
+            ))
+     ORDER BY j.created_at DESC
+     LIMIT 1`,
+    [scheduleId]
+  );
+  return result.rows[0]?.job_id || null;
+}
+
+/**
+ * Handle the due occurrences of a schedule: start a job for the latest,
+ * unless it is too late and missed runs are skipped, or the previous job is
+ * still running and overlapping runs are skipped
+ * @returns {Promise<object|null>} The schedule_runs row, or null when
+ *   another invocation of the scheduler handled the occurrences first
+ */
+async function runSchedule(pool, schedule, now) {
+  const { latest, missedCount, nextRunAt } = dueOccurrences(schedule, now);
+
+  // Claim the occurrences, so that an overlapping invocation does not run
+  // them too
+  const claim = await pool.query(
+    `UPDATE scan_schedules
+     SET next_run_at = $3, last_run_at = NOW(), updated_at = NOW()
+     WHERE schedule_id = $1 AND status = 'active' AND next_run_at = $2`,
+    [schedule.schedule_id, schedule.next_run_at, nextRunAt]
+  );
+  if (claim.rowCount === 0) {
+    return null;
+  }
+
+  const run = {
+    schedule_id: schedule.schedule_id,
+    scheduled_for: latest,
+    status: "started",
+    job_id: null,
+    missed_count: missedCount,
+    note: null,
+  };
+  const lateMinutes = Math.floor((now - latest) / 60000);
+  const late = now - latest > MISSED_RUN_GRACE_SECONDS * 1000;
+
+  if (late && schedule.missed_run_policy === "skip") {
+    run.status = "missed";
+    run.note = `${lateMinutes} minutes late, and missed runs are skipped`;
+  } else {
+    const runningJobId =
+      schedule.overlap_policy === "skip"
+        ? await findRunningJob(pool, schedule.schedule_id)
+        : null;
+
+    if (runningJobId) {
+      run.status = "skipped";
+      run.note = `Job ${runningJobId} of an earlier run is still running`;
+    } else {
+      // Custom detectors the schedule selects may have been deleted since
+      const validationError = await validateScanParameters(pool, schedule);
+      if (validationError) {
+        run.status = "failed";
+        run.note = validationError;
+      } else {
+        try {
+          const job = await createScanJob(pool, schedule, schedule.schedule_id);
+          run.job_id = job.job_id;
+          if (late) {
+            run.note = `Started ${lateMinutes} minutes late`;
+          }
+        } catch (error) {
+          console.error(
+            `Error starting a job for schedule ${schedule.schedule_id}:`,
+            error
+          );
+          run.status = "failed";
+          run.note = error.message;
+        }
+      }
+    }
+  }
+
+  await pool.query(
+    `INSERT INTO schedule_runs
+       (schedule_id, scheduled_for, status, job_id, missed_count, note)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (schedule_id, scheduled_for) DO NOTHING`,
+    [
+      run.schedule_id,
+      run.scheduled_for,
+      run.status,
+      run.job_id,
+      run.missed_count,
+      run.note,
+    ]
+  );
+
+  console.log(
+    `Schedule ${schedule.schedule_id} (${
+      schedule.name
+    }) at ${latest.toISOString()}: ${run.status}${
+      run.job_id ? ` job ${run.job_id}` : ""
+    }${missedCount > 0 ? `, ${missedCount} earlier occurrence(s) missed` : ""}${
+      run.note ? ` (${run.note})` : ""
+    }`
+  );
+  return run;
+}
+
+// Invoked every minute by an EventBridge rule
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  const pool = await getPool();
+  const now = new Date();
+
+  try {
+    const stalled = await failStalledEnumerations(pool);
+    if (stalled.length > 0) {
+      console.warn(`Marked stalled enumerations failed: ${stalled.join(", ")}`);
+    }
+  } catch (error) {
+    console.error("Error failing stalled enumerations:", error);
+  }
+
+  const dueResult = await pool.query(
+    `SELECT ${SCHEDULE_COLUMNS}
+     FROM scan_schedules
+     WHERE status = 'active' AND next_run_at <= $1
+     ORDER BY next_run_at ASC`,
+    [now]
+  );
+
+  const runs = [];
+  for (const schedule of dueResult.rows) {
+    try {
+      const run = await runSchedule(pool, schedule, now);
+      if (run) {
+        runs.push(run);
+      }
+    } catch (error) {
+      console.error(`Error running schedule ${schedule.schedule_id}:`, error);
+    }
+  }
+
+  console.log(
+    `Handled ${runs.length} of ${dueResult.rows.length} due schedule(s)`
+  );
+  return { due: dueResult.rows.length, runs };
+};
@@ -0,0 +1,285 @@
+const { getPool } = require("./shared/db");
+const { expandDetectorSelection } = require("./shared/detectors");
+const { validateScanParameters } = require("./shared/scan-jobs");
+const {
+  parseCron,
+  nextCronOccurrence,
+  validateCron,
+} = require("./shared/cron");
+const { v4: uuidv4 } = require("uuid");
+
+const SCHEDULE_COLUMNS =
+  "schedule_id, name, cron, bucket, prefix, detectors, tag_objects, incremental, overlap_policy, missed_run_policy, status, next_run_at, last_run_at, created_at, updated_at";
+const RUN_COLUMNS =
+  "schedule_id, scheduled_for, status, job_id, missed_count, note, created_at";
+
+const OVERLAP_POLICIES = ["skip", "allow"];
+const MISSED_RUN_POLICIES = ["run_once", "skip"];
+const MAX_NAME_LENGTH = 200;
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (typeof event.body === "string") {
+    return JSON.parse(event.body);
+  }
+  return event.body || {};
+}
+
+/**
+ * Validate the schedule fields of a request, other than the scan parameters
+ * @returns {string|null} Error message, or null when the fields are valid
+ */
+function validateSchedule(schedule) {
+  const { name, cron, overlap_policy, missed_run_policy } = schedule;
+
+  if (
+    typeof name !== "string" ||
+    name.trim() === "" ||
+    name.length > MAX_NAME_LENGTH
+  ) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  const cronError = validateCron(cron);
+  if (cronError) {
+    return cronError;
+  }
+
+  if (!OVERLAP_POLICIES.includes(overlap_policy)) {
+    return `overlap_policy must be one of ${OVERLAP_POLICIES.join(", ")}`;
+  }
+  if (!MISSED_RUN_POLICIES.includes(missed_run_policy)) {
+    return `missed_run_policy must be one of ${MISSED_RUN_POLICIES.join(", ")}`;
+  }
+
+  return null;
+}
+
+async function getSchedule(pool, scheduleId) {
+  const result = await pool.query(
+    `SELECT ${SCHEDULE_COLUMNS} FROM scan_schedules WHERE schedule_id = $1`,
+    [scheduleId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createSchedule(pool, body) {
+  const schedule = {
+    name: body.name,
+    cron: body.cron,
+    overlap_policy: body.overlap_policy ?? "skip",
+    missed_run_policy: body.missed_run_policy ?? "run_once",
+  };
+
+  const validationError =
+    validateSchedule(schedule) || (await validateScanParameters(pool, body));
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  const nextRunAt = nextCronOccurrence(parseCron(schedule.cron), new Date());
+
+  const result = await pool.query(
+    `INSERT INTO scan_schedules
+       (schedule_id, name, cron, bucket, prefix, detectors, tag_objects,
+        incremental, overlap_policy, missed_run_policy, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${SCHEDULE_COLUMNS}`,
+    [
+      uuidv4(),
+      schedule.name,
+      schedule.cron.trim(),
+      body.bucket,
+      body.prefix || null,
+      expandDetectorSelection(body.detectors),
+      body.tag_objects ?? false,
+      body.incremental ?? false,
+      schedule.overlap_policy,
+      schedule.missed_run_policy,
+      nextRunAt,
+    ]
+  );
+
+  console.log(`Created scan schedule ${result.rows[0].schedule_id}`);
+  return jsonResponse(201, result.rows[0]);
+}
+
+async function listSchedules(pool, params) {
+  const includeDeleted = params.include_deleted === "true";
+  const query = `SELECT ${SCHEDULE_COLUMNS} FROM scan_schedules ${
+    includeDeleted ? "" : "WHERE status <> 'deleted'"
+  } ORDER BY created_at ASC`;
+
+  const result = await pool.query(query);
+  return jsonResponse(200, {
+    schedules: result.rows,
+    count: result.rows.length,
+  });
+}
+
+async function pauseSchedule(pool, scheduleId) {
+  const result = await pool.query(
+    `UPDATE scan_schedules
+     SET status = 'paused', updated_at = NOW()
+     WHERE schedule_id = $1 AND status = 'active'
+     RETURNING ${SCHEDULE_COLUMNS}`,
+    [scheduleId]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await getSchedule(pool, scheduleId);
+    if (!existing || existing.status === "deleted") {
+      return jsonResponse(404, { error: "Schedule not found" });
+    }
+    return jsonResponse(409, {
+      error: `Only active schedules can be paused; this schedule is ${existing.status}`,
+    });
+  }
+
+  console.log(`Paused scan schedule ${scheduleId}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+/**
+ * Resume a paused schedule from its next occurrence; the occurrences that
+ * passed while it was paused are not run
+ */
+async function resumeSchedule(pool, scheduleId) {
+  const existing = await getSchedule(pool, scheduleId);
+  if (!existing || existing.status === "deleted") {
+    return jsonResponse(404, { error: "Schedule not found" });
+  }
+
+  const nextRunAt = nextCronOccurrence(parseCron(existing.cron), new Date());
+  const result = await pool.query(
+    `UPDATE scan_schedules
+     SET status = 'active', next_run_at = $2, updated_at = NOW()
+     WHERE schedule_id = $1 AND status = 'paused'
+     RETURNING ${SCHEDULE_COLUMNS}`,
+    [scheduleId, nextRunAt]
+  );
+
+  if (result.rows.length === 0) {
+    return jsonResponse(409, {
+      error: `Only paused schedules can be resumed; this schedule is ${existing.status}`,
+    });
+  }
+
+  console.log(`Resumed scan schedule ${scheduleId}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+/**
+ * Delete a schedule. It is kept, marked deleted, so that its jobs and runs
+ * still refer to it.
+ */
+async function deleteSchedule(pool, scheduleId) {
+  const result = await pool.query(
+    `UPDATE scan_schedules
+     SET status = 'deleted', next_run_at = NULL, updated_at = NOW()
+     WHERE schedule_id = $1 AND status <> 'deleted'
+     RETURNING ${SCHEDULE_COLUMNS}`,
+    [scheduleId]
+  );
+  if (result.rows.length === 0) {
+    return jsonResponse(404, { error: "Schedule not found" });
+  }
+
+  console.log(`Deleted scan schedule ${scheduleId}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+/**
+ * What the scheduler did at each occurrence of a schedule, newest first
+ */
+async function listRuns(pool, scheduleId, params) {
+  const limit = parseInt(params.limit || "100");
+  const offset = params.cursor ? parseInt(params.cursor) : 0;
+
+  if (limit < 1 || limit > 1000) {
+    return jsonResponse(400, { error: "Limit must be between 1 and 1000" });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return jsonResponse(400, { error: "Invalid cursor" });
+  }
+
+  if (!(await getSchedule(pool, scheduleId))) {
+    return jsonResponse(404, { error: "Schedule not found" });
+  }
+
+  const result = await pool.query(
+    `SELECT ${RUN_COLUMNS}
+     FROM schedule_runs
+     WHERE schedule_id = $1
+     ORDER BY scheduled_for DESC
+     LIMIT $2 OFFSET $3`,
+    [scheduleId, limit, offset]
+  );
+
+  return jsonResponse(200, {
+    runs: result.rows,
+    count: result.rows.length,
+    next_cursor:
+      result.rows.length === limit ? String(offset + result.rows.length) : null,
+  });
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const routeKey = event.routeKey;
+    const scheduleId = event.pathParameters?.schedule_id;
+
+    if (scheduleId !== undefined && !uuidRegex.test(scheduleId)) {
+      return jsonResponse(400, { error: "Invalid schedule_id format" });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    const pool = await getPool();
+
+    switch (routeKey) {
+      case "POST /schedules":
+        return await createSchedule(pool, body);
+      case "GET /schedules":
+        return await listSchedules(pool, event.queryStringParameters || {});
+      case "POST /schedules/{schedule_id}/pause":
+        return await pauseSchedule(pool, scheduleId);
+      case "POST /schedules/{schedule_id}/resume":
+        return await resumeSchedule(pool, scheduleId);
+      case "DELETE /schedules/{schedule_id}":
+        return await deleteSchedule(pool, scheduleId);
+      case "GET /schedules/{schedule_id}/runs":
+        return await listRuns(
+          pool,
+          scheduleId,
+          event.queryStringParameters || {}
+        );
+      default:
+        return jsonResponse(404, { error: `Unsupported route: ${routeKey}` });
+    }
+  } catch (error) {
+    console.error("Error handling schedules request:", error);
+
+    return jsonResponse(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,207 @@
+// Five-field cron expressions (minute, hour, day of month, month, day of
+// week), evaluated in UTC
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: "JAN FEB MAR APR MAY JUN JUL AUG SEP OCT NOV DEC".split(" "),
+  },
+  {
+    name: "day of week",
+    min: 0,
+    max: 7, // 0 and 7 are both Sunday
+    names: "SUN MON TUE WED THU FRI SAT".split(" "),
+  },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+};
+
+const MAX_EXPRESSION_LENGTH = 200;
+// How far ahead to look for the next occurrence; far enough for 29 February
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  if (nameIndex !== -1) {
+    return field.min + nameIndex;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name}: ${text}`);
+  }
+  const value = parseInt(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} must be between ${field.min} and ${field.max}: ${text}`
+    );
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText, ...rest] = part.split("/");
+    if (rest.length > 0 || range === "") {
+      throw new Error(`Invalid ${field.name}: ${part}`);
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText) === 0) {
+        throw new Error(`Invalid step in ${field.name}: ${part}`);
+      }
+      step = parseInt(stepText);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to, ...extra] = range.split("-");
+      if (extra.length > 0) {
+        throw new Error(`Invalid ${field.name}: ${part}`);
+      }
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name}: ${part}`);
+      }
+    } else {
+      // "5/15" means from 5 to the end in steps of 15
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a macro such as `@daily`
+ * @returns {object} Parsed schedule for nextCronOccurrence
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw new Error("cron must be a non-empty string");
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(
+      `cron must be at most ${MAX_EXPRESSION_LENGTH} characters long`
+    );
+  }
+
+  const trimmed = expression.trim();
+  const fields = (MACROS[trimmed.toLowerCase()] || trimmed).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(
+      "cron must have five fields: minute, hour, day of month, month and day of week"
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) =>
+    parseField(text, FIELDS[index])
+  );
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, when both day fields are restricted a day matching either
+    // one matches
+    daysRestricted: !fields[2].startsWith("*"),
+    weekdaysRestricted: !fields[4].startsWith("*"),
+  };
+}
+
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) {
+    return day || weekday;
+  }
+  return day && weekday;
+}
+
+/**
+ * The first time a schedule fires strictly after a given time
+ * @param {object} schedule - Result of parseCron
+ * @param {Date} after - Time to search from
+ * @returns {Date|null} Start of the matching minute, or null when the
+ *   schedule never fires (such as on 31 February)
+ */
+function nextCronOccurrence(schedule, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a cron expression
+ * @returns {string|null} Error message, or null when the expression is
+ *   valid and fires at some point
+ */
+function validateCron(expression) {
+  let schedule;
+  try {
+    schedule = parseCron(expression);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (!nextCronOccurrence(schedule, new Date())) {
+    return "cron never matches a date";
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronOccurrence,
+  validateCron,
+};
@@ -0,0 +1,241 @@
+const vm = require("vm");
+const { BUILTIN_DETECTOR_NAMES } = require("./detectors");
+
+// Keep in sync with MASKERS / VALIDATORS in scanner/src/detectors.js
+const MASK_STYLES = ["full", "last4", "first4", "partial"];
+const VALIDATOR_TYPES = ["none", "luhn"];
+
+const NAME_REGEX = /^[A-Z][A-Z0-9_]{2,63}$/;
+const ALLOWED_FLAGS = ["i", "m", "s", "u"];
+const MAX_PATTERN_LENGTH = 512;
+const MAX_CONTEXT_KEYWORDS = 50;
+// Each probe input is matched at two lengths, each run with its own timeout.
+// Linear patterns take about twice as long on the longer input and
+// quadratic ones (an ordinary unanchored \w+@\w+ scanned from every
+// position) four times; exponential ones time out.
+const PROBE_TIMEOUT_MS = 250;
+const PROBE_LENGTHS = [1000, 2000];
+const MAX_PROBE_GROWTH = 6;
+// Each run is repeated and the quickest kept, which discards pauses for
+// garbage collection or other work
+const PROBE_RUNS = 3;
+// Runs quicker than this are too short to compare reliably
+const MIN_MEASURABLE_MS = 2;
+
+/**
+ * Find quantified groups that themselves contain an unbounded quantifier,
+ * e.g. (a+)+ or (\w*\s?)*, the classic catastrophic backtracking shape
+ * @param {string} pattern - Regex source
+ * @returns {boolean}
+ */
+function hasNestedQuantifiers(pattern) {
+  // Each open group tracks whether an unbounded quantifier appeared inside it
+  const stack = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\") {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === "]") {
+        inClass = false;
+      }
+      continue;
+    }
+    if (char === "[") {
+      inClass = true;
+      continue;
+    }
+    if (char === "(") {
+      stack.push({ quantified: false });
+      continue;
+    }
+
+    if (char === ")") {
+      const group = stack.pop();
+      if (!group) {
+        continue;
+      }
+
+      const quantifier = readQuantifier(pattern, i + 1);
+      if (quantifier && group.quantified && quantifier.repeats) {
+        return true;
+      }
+      if (stack.length > 0 && (group.quantified || quantifier?.unbounded)) {
+        stack[stack.length - 1].quantified = true;
+      }
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, i);
+    if (quantifier?.unbounded && stack.length > 0) {
+      stack[stack.length - 1].quantified = true;
+    }
+  }
+
+  return false;
+}
+
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+
+  if (char === "*" || char === "+") {
+    return { unbounded: true, repeats: true };
+  }
+  if (char === "{") {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) {
+      return null;
+    }
+    const unbounded = match[2] !== undefined && match[3] === "";
+    const max = unbounded ? Infinity : parseInt(match[3] ?? match[1]);
+    return { unbounded, repeats: max > 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Run the compiled regex against inputs that trigger exponential
+ * backtracking in vulnerable patterns, comparing how the matching time grows
+ * with the input rather than its absolute value, which depends on the CPU
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {boolean} true when no probe timed out or grew faster than
+ *   quadratically
+ */
+function survivesBacktrackingProbe(pattern, flags) {
+  const fillers = ["a", "A", "0", " ", "-", "_", ".", "aA0", "a ", "0-"];
+  const terminators = ["!", "\u0000"];
+  const context = vm.createContext({ regex: new RegExp(pattern, flags) });
+  const script = new vm.Script("regex.test(probe)");
+
+  const timeProbe = (probe) => {
+    context.probe = probe;
+    let quickest = Infinity;
+    for (let run = 0; run < PROBE_RUNS; run++) {
+      const start = process.hrtime.bigint();
+      script.runInContext(context, { timeout: PROBE_TIMEOUT_MS });
+      const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+      quickest = Math.min(quickest, elapsedMs);
+    }
+    return quickest;
+  };
+
+  try {
+    for (const filler of fillers) {
+      for (const end of terminators) {
+        const [shortMs, longMs] = PROBE_LENGTHS.map((length) =>
+          timeProbe(filler.repeat(Math.ceil(length / filler.length)) + end)
+        );
+        if (longMs > Math.max(shortMs, MIN_MEASURABLE_MS) * MAX_PROBE_GROWTH) {
+          return false;
+        }
+      }
+    }
+    return true;
+  } catch (error) {
+    // Timed out
+    return false;
+  }
+}
+
+/**
+ * Validate a regex supplied for a custom detector
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags (without g)
+ * @returns {string|null} Error message, or null when the regex is accepted
+ */
+function validatePattern(pattern, flags = "") {
+  if (typeof pattern !== "string" || pattern.length === 0) {
+    return "pattern must be a non-empty string";
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (typeof flags !== "string") {
+    return "flags must be a string";
+  }
+  for (const flag of flags) {
+    if (!ALLOWED_FLAGS.includes(flag)) {
+      return `Unsupported regex flag "${flag}" (allowed: ${ALLOWED_FLAGS.join(
+        ""
+      )})`;
+    }
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+
+  if (regex.test("")) {
+    return "pattern must not match the empty string";
+  }
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return "Backreferences are not allowed in custom detector patterns";
+  }
+  if (hasNestedQuantifiers(pattern)) {
+    return "pattern contains nested quantifiers prone to catastrophic backtracking";
+  }
+  if (!survivesBacktrackingProbe(pattern, flags)) {
+    return "pattern is prone to catastrophic backtracking";
+  }
+
+  return null;
+}
+
+/**
+ * Validate a complete custom detector definition
+ * @param {object} definition - Detector fields as accepted by the API
+ * @returns {string|null} Error message, or null when the definition is valid
+ */
+function validateCustomDetector(definition) {
+  const { name, pattern, flags, context_keywords, mask_style, validator } =
+    definition;
+
+  if (typeof name !== "string" || !NAME_REGEX.test(name)) {
+    return "name must be 3-64 characters of A-Z, 0-9 and _, starting with a letter";
+  }
+  if (BUILTIN_DETECTOR_NAMES.includes(name)) {
+    return `name ${name} is reserved for a built-in detector`;
+  }
+
+  const patternError = validatePattern(pattern, flags || "");
+  if (patternError) {
+    return patternError;
+  }
+
+  if (context_keywords !== undefined && context_keywords !== null) {
+    if (
+      !Array.isArray(context_keywords) ||
+      context_keywords.length > MAX_CONTEXT_KEYWORDS ||
+      context_keywords.some((kw) => typeof kw !== "string" || kw.trim() === "")
+    ) {
+      return `context_keywords must be an array of at most ${MAX_CONTEXT_KEYWORDS} non-empty strings`;
+    }
+  }
+
+  if (!MASK_STYLES.includes(mask_style)) {
+    return `mask_style must be one of: ${MASK_STYLES.join(", ")}`;
+  }
+
+  if (validator !== undefined && !VALIDATOR_TYPES.includes(validator)) {
+    return `validator must be one of: ${VALIDATOR_TYPES.join(", ")}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MASK_STYLES,
+  VALIDATOR_TYPES,
+  validatePattern,
+  validateCustomDetector,
+};
@@ -0,0 +1,138 @@
+// Names of the detectors built into the scanner worker
+// (scanner/src/detectors.js). Keep in sync when adding a built-in detector.
+const BUILTIN_DETECTOR_NAMES = [
+  "SSN",
+  "CREDIT_CARD",
+  "AWS_ACCESS_KEY",
+  "AWS_SECRET_KEY",
+  "EMAIL",
+  "US_PHONE",
+  "PRIVATE_KEY",
+  "GITHUB_TOKEN",
+  "GITLAB_TOKEN",
+  "SLACK_TOKEN",
+  "STRIPE_KEY",
+  "GOOGLE_API_KEY",
+  "JWT",
+  "DB_CONNECTION_STRING",
+  "HIGH_ENTROPY_STRING",
+  "IBAN",
+  "UK_NINO",
+  "CA_SIN",
+  "IN_AADHAAR",
+  "E164_PHONE",
+  "PASSPORT",
+];
+
+// Built-in detectors that only run when a scan selects them
+const OPT_IN_DETECTOR_NAMES = [
+  "IBAN",
+  "UK_NINO",
+  "CA_SIN",
+  "IN_AADHAAR",
+  "E164_PHONE",
+  "PASSPORT",
+];
+
+// Shorthands a scan can select instead of listing detectors one by one.
+// Group names are lower case so they never collide with detector names.
+const DETECTOR_GROUPS = {
+  us: ["SSN", "US_PHONE"],
+  uk: ["UK_NINO", "IBAN", "E164_PHONE", "PASSPORT"],
+  eu: ["IBAN", "E164_PHONE", "PASSPORT"],
+  ca: ["CA_SIN", "E164_PHONE", "PASSPORT"],
+  in: ["IN_AADHAAR", "E164_PHONE", "PASSPORT"],
+  international: OPT_IN_DETECTOR_NAMES,
+  financial: ["CREDIT_CARD", "IBAN"],
+  contact: ["EMAIL", "US_PHONE", "E164_PHONE"],
+  secrets: [
+    "AWS_ACCESS_KEY",
+    "AWS_SECRET_KEY",
+    "PRIVATE_KEY",
+    "GITHUB_TOKEN",
+    "GITLAB_TOKEN",
+    "SLACK_TOKEN",
+    "STRIPE_KEY",
+    "GOOGLE_API_KEY",
+    "JWT",
+    "DB_CONNECTION_STRING",
+    "HIGH_ENTROPY_STRING",
+  ],
+};
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+/**
+ * Validate a detector selection from a request body
+ * @param {*} detectors - Value of the `detectors` field
+ * @param {string[]} customNames - Names of the active custom detectors
+ * @returns {string|null} Error message, or null when the selection is valid
+ */
+function validateDetectorSelection(detectors, customNames = []) {
+  if (detectors === undefined || detectors === null) {
+    return null;
+  }
+
+  if (!Array.isArray(detectors) || detectors.length === 0) {
+    return "detectors must be a non-empty array of detector names";
+  }
+
+  const unknown = detectors.filter(
+    (name) =>
+      !BUILTIN_DETECTOR_NAMES.includes(name) &&
+      !customNames.includes(name) &&
+      !Object.hasOwn(DETECTOR_GROUPS, name)
+  );
+  if (unknown.length > 0) {
+    return `Unknown detector(s): ${unknown.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Replace group names in a validated detector selection with the detectors
+ * they stand for
+ * @param {string[]|null|undefined} detectors - Detector and group names
+ * @returns {string[]|null} Detector names without duplicates, or null when
+ *   nothing was selected
+ */
+function expandDetectorSelection(detectors) {
+  if (!detectors) {
+    return null;
+  }
+
+  const names = new Set();
+  for (const name of detectors) {
+    const group = Object.hasOwn(DETECTOR_GROUPS, name)
+      ? DETECTOR_GROUPS[name]
+      : [name];
+    group.forEach((member) => names.add(member));
+  }
+  return Array.from(names);
+}
+
+const OPT_IN_ARRAY = `ARRAY[${OPT_IN_DETECTOR_NAMES.map(
+  (name) => `'${name}'`
+).join(", ")}]`;
+
+/**
+ * SQL condition that is true when a detector is part of a selection
+ * @param {string} name - SQL expression of the detector name
+ * @param {string} detectors - SQL expression of the selected detectors, NULL
+ *   for those enabled by default
+ * @returns {string}
+ */
+function detectorSelectedCondition(name, detectors) {
+  return `(CASE WHEN ${detectors} IS NULL THEN ${name} <> ALL(${OPT_IN_ARRAY}) ELSE ${name} = ANY(${detectors}) END)`;
+}
+
+module.exports = {
+  BUILTIN_DETECTOR_NAMES,
+  OPT_IN_DETECTOR_NAMES,
+  DETECTOR_GROUPS,
+  SEVERITIES,
+  validateDetectorSelection,
+  expandDetectorSelection,
+  detectorSelectedCondition,
+};
@@ -0,0 +1,32 @@
+const { detectorSelectedCondition } = require("./detectors");
+
+/**
+ * SQL condition selecting a job's findings: those it stored and those found
+ * by the detectors it selected in the ETags of its objects that it scanned
+ * or, in an incremental scan, skipped as unchanged. Findings are matched by
+ * object because the dedupe index keeps only the first job's copy of a
+ * finding. A composite finding belongs to a job that selected all of its
+ * components.
+ * @param {string} jobParam - Query parameter holding the job ID, e.g. "$1"
+ * @returns {string} Condition on the columns of the findings table
+ */
+function jobFindingsCondition(jobParam) {
+  return `((job_id = ${jobParam} OR (bucket, key, etag) IN (
+      SELECT bucket, key, etag
+      FROM job_objects
+      WHERE job_id = ${jobParam} AND status IN ('succeeded', 'skipped')))
+    AND EXISTS (
+      SELECT 1 FROM jobs j
+      WHERE j.job_id = ${jobParam}
+        AND (${detectorSelectedCondition("findings.detector", "j.detectors")}
+          OR (findings.components IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(findings.components) AS c
+            WHERE NOT ${detectorSelectedCondition(
+              "c->>'detector'",
+              "j.detectors"
+            )})))))`;
+}
+
+module.exports = {
+  jobFindingsCondition,
+};
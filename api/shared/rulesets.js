@@ -0,0 +1,53 @@
+const { detectorSelectedCondition } = require("./detectors");
+
+/**
+ * The detector ruleset a worker most recently started scanning with, which
+ * objects scanned under any other are out of date with
+ * @param {object} pool - Database pool
+ * @returns {Promise<string|null>} Ruleset version, or null if no worker has
+ *   scanned anything yet
+ */
+async function getCurrentRulesetVersion(pool) {
+  const result = await pool.query(
+    "SELECT ruleset_version FROM rulesets ORDER BY last_seen_at DESC LIMIT 1"
+  );
+  return result.rows[0]?.ruleset_version || null;
+}
+
+/**
+ * SQL condition that is true when an object scanned under one ruleset is
+ * out of date for a detector selection: the current ruleset has a detector
+ * it selects, and that detector's definition differs from the one it was
+ * scanned with
+ * @param {string} scannedVersion - SQL expression of the ruleset version the
+ *   object was scanned under
+ * @param {string} detectors - SQL expression of the selected detectors, NULL
+ *   for those enabled by default
+ * @param {string} currentParam - Query parameter holding the current
+ *   ruleset version
+ * @param {string|null} detectorParam - Query parameter holding the only
+ *   detector to consider, or null for all of them
+ * @returns {string}
+ */
+function outdatedCondition(
+  scannedVersion,
+  detectors,
+  currentParam,
+  detectorParam = null
+) {
+  return `EXISTS (
+    SELECT 1
+    FROM rulesets cur
+    CROSS JOIN jsonb_each_text(cur.detector_versions) AS d(name, version)
+    LEFT JOIN rulesets scanned ON scanned.ruleset_version = ${scannedVersion}
+    WHERE cur.ruleset_version = ${currentParam}
+      AND ${detectorSelectedCondition("d.name", detectors)}${
+    detectorParam ? `\n      AND d.name = ${detectorParam}` : ""
+  }
+      AND d.version IS DISTINCT FROM scanned.detector_versions->>d.name)`;
+}
+
+module.exports = {
+  getCurrentRulesetVersion,
+  outdatedCondition,
+};
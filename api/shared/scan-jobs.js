@@ -0,0 +1,343 @@
+const { S3Client, ListObjectsV2Command } = require("@aws-sdk/client-s3");
+const {
+  SQSClient,
+  SendMessageCommand,
+  SendMessageBatchCommand,
+} = require("@aws-sdk/client-sqs");
+const {
+  validateDetectorSelection,
+  expandDetectorSelection,
+} = require("./detectors");
+const { getCurrentRulesetVersion, outdatedCondition } = require("./rulesets");
+const { v4: uuidv4 } = require("uuid");
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || "us-east-1",
+});
+const sqsClient = new SQSClient({
+  region: process.env.AWS_REGION || "us-east-1",
+});
+const QUEUE_URL = process.env.SQS_QUEUE_URL;
+const ENUMERATION_QUEUE_URL = process.env.ENUMERATION_QUEUE_URL;
+const LOOKUP_BATCH_SIZE = 1000;
+
+/**
+ * Find the objects an earlier job already scanned successfully at the same
+ * ETag with the same detectors, none of which has changed since, which an
+ * incremental scan skips. Objects that are to be tagged are only skipped
+ * when the earlier job tagged them.
+ * @returns {Promise<Map<string, object>>} Key to the earlier scan:
+ *   `{ source_job_id, detected_type, detected_encoding, ruleset_version }`
+ */
+async function findUnchangedObjects(
+  pool,
+  bucket,
+  objects,
+  detectors,
+  tagObjects
+) {
+  const rulesetVersion = await getCurrentRulesetVersion(pool);
+  const unchanged = new Map();
+
+  for (let i = 0; i < objects.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = objects.slice(i, i + LOOKUP_BATCH_SIZE);
+    const result = await pool.query(
+      `SELECT DISTINCT ON (jo.key) jo.key,
+              COALESCE(jo.carried_from_job_id, jo.job_id) AS source_job_id,
+              jo.detected_type, jo.detected_encoding, jo.ruleset_version
+       FROM unnest($2::text[], $3::text[]) AS o(key, etag)
+       JOIN job_objects jo
+         ON jo.bucket = $1 AND jo.key = o.key AND jo.etag = o.etag
+       JOIN jobs j ON j.job_id = jo.job_id
+       WHERE jo.status IN ('succeeded', 'skipped')
+         AND ((j.detectors IS NULL AND $4::text[] IS NULL)
+              OR (j.detectors @> $4 AND j.detectors <@ $4))
+         AND (j.tag_objects OR NOT $5)
+         AND NOT ${outdatedCondition("jo.ruleset_version", "$4::text[]", "$6")}
+       ORDER BY jo.key, jo.updated_at DESC`,
+      [
+        bucket,
+        batch.map((obj) => obj.Key),
+        batch.map((obj) => obj.ETag?.replace(/"/g, "")),
+        detectors,
+        tagObjects,
+        rulesetVersion,
+      ]
+    );
+
+    for (const row of result.rows) {
+      unchanged.set(row.key, row);
+    }
+  }
+
+  return unchanged;
+}
+
+/**
+ * Queue a job's objects to be scanned
+ * @returns {Promise<object[]>} The objects that could not be queued
+ */
+async function enqueueObjects(jobId, bucket, objects) {
+  const batchSize = 10; // SQS max batch size
+  const unsent = [];
+
+  for (let i = 0; i < objects.length; i += batchSize) {
+    const batch = objects.slice(i, i + batchSize);
+
+    const entries = batch.map((obj, index) => ({
+      Id: `${i + index}`,
+      MessageBody: JSON.stringify({
+        job_id: jobId,
+        bucket: bucket,
+        key: obj.Key,
+        etag: obj.ETag?.replace(/"/g, ""),
+      }),
+    }));
+
+    try {
+      const command = new SendMessageBatchCommand({
+        QueueUrl: QUEUE_URL,
+        Entries: entries,
+      });
+
+      const response = await sqsClient.send(command);
+
+      if (response.Failed && response.Failed.length > 0) {
+        console.error("Failed to send some messages:", response.Failed);
+        unsent.push(...response.Failed.map((entry) => objects[entry.Id]));
+      }
+    } catch (error) {
+      console.error("Error sending batch to SQS:", error);
+      // The rest are not tried: SQS is unlikely to take them either
+      unsent.push(...objects.slice(i));
+      break;
+    }
+  }
+
+  return unsent;
+}
+
+/**
+ * Validate the parameters of a scan, as accepted by POST /scan and stored
+ * by schedules
+ * @param {object} pool - Database pool
+ * @param {object} params - `{ bucket, prefix, detectors, tag_objects,
+ *   incremental }`
+ * @returns {Promise<string|null>} Error message, or null when the
+ *   parameters are valid
+ */
+async function validateScanParameters(pool, params) {
+  const { bucket, prefix, detectors } = params;
+
+  if (!bucket) {
+    return "Missing required field: bucket";
+  }
+  if (typeof bucket !== "string") {
+    return "bucket must be a string";
+  }
+  if (prefix !== undefined && prefix !== null && typeof prefix !== "string") {
+    return "prefix must be a string";
+  }
+  if (typeof (params.tag_objects ?? false) !== "boolean") {
+    return "tag_objects must be a boolean";
+  }
+  if (typeof (params.incremental ?? false) !== "boolean") {
+    return "incremental must be a boolean";
+  }
+
+  let customNames = [];
+  if (detectors) {
+    const customResult = await pool.query(
+      "SELECT name FROM custom_detectors WHERE active = TRUE"
+    );
+    customNames = customResult.rows.map((row) => row.name);
+  }
+
+  return validateDetectorSelection(detectors, customNames);
+}
+
+/**
+ * Queue a message asking the enumerator to list a job's objects, from the
+ * job's checkpoint
+ * @param {string} jobId - Job in the enumerating state
+ */
+async function queueEnumeration(jobId) {
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: ENUMERATION_QUEUE_URL,
+      MessageBody: JSON.stringify({ job_id: jobId }),
+    })
+  );
+}
+
+/**
+ * Create a scan job. Its objects are listed and queued in the background
+ * by the enumerator; the job is enumerating until they all are. The
+ * parameters must have been validated with validateScanParameters.
+ * @param {object} pool - Database pool
+ * @param {object} params - `{ bucket, prefix, detectors, tag_objects,
+ *   incremental }`
+ * @param {string|null} scheduleId - Schedule that started the job, if any
+ * @returns {Promise<{job_id: string}>}
+ */
+async function createScanJob(pool, params, scheduleId = null) {
+  const { bucket, prefix } = params;
+  const tagObjects = params.tag_objects ?? false;
+  const incremental = params.incremental ?? false;
+  const jobId = uuidv4();
+  const now = new Date().toISOString();
+
+  console.log(
+    `Creating ${
+      incremental ? "incremental " : ""
+    }scan job ${jobId} for bucket: ${bucket}, prefix: ${prefix || "(none)"}`
+  );
+
+  await pool.query(
+    "INSERT INTO jobs (job_id, bucket, prefix, detectors, tag_objects, incremental, schedule_id, enumeration_status, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, 'enumerating', $8, $9)",
+    [
+      jobId,
+      bucket,
+      prefix || null,
+      expandDetectorSelection(params.detectors),
+      tagObjects,
+      incremental,
+      scheduleId,
+      now,
+      now,
+    ]
+  );
+
+  try {
+    await queueEnumeration(jobId);
+  } catch (error) {
+    await pool.query(
+      `UPDATE jobs
+       SET enumeration_status = 'failed', enumeration_error = $2,
+           updated_at = NOW()
+       WHERE job_id = $1`,
+      [jobId, `Could not queue the enumeration: ${error.message}`]
+    );
+    throw error;
+  }
+
+  return { job_id: jobId };
+}
+
+/**
+ * Record one page of a job's objects and queue those to scan. Recording is
+ * idempotent, so a page can be processed again after a failure; objects
+ * may then be queued twice, which only scans them twice.
+ * @returns {Promise<{recorded: number, skipped: number, enqueued: number}>}
+ */
+async function recordObjectPage(pool, job, objects) {
+  const unchanged = job.incremental
+    ? await findUnchangedObjects(
+        pool,
+        job.bucket,
+        objects,
+        job.detectors,
+        job.tag_objects
+      )
+    : new Map();
+  const rows = objects.map((obj) => ({
+    key: obj.Key,
+    etag: obj.ETag?.replace(/"/g, ""),
+    previous: unchanged.get(obj.Key),
+  }));
+
+  // Skipped objects carry forward the findings of the job that scanned them
+  await pool.query(
+    `INSERT INTO job_objects (job_id, bucket, key, etag, status, carried_from_job_id, detected_type, detected_encoding, ruleset_version, updated_at)
+     SELECT $1, $2, key, etag, status, carried_from_job_id, detected_type, detected_encoding, ruleset_version, NOW()
+     FROM unnest($3::text[], $4::text[], $5::text[], $6::uuid[], $7::text[], $8::text[], $9::text[])
+       AS t(key, etag, status, carried_from_job_id, detected_type, detected_encoding, ruleset_version)
+     ON CONFLICT (job_id, bucket, key, etag) DO NOTHING`,
+    [
+      job.job_id,
+      job.bucket,
+      rows.map((row) => row.key),
+      rows.map((row) => row.etag),
+      rows.map((row) => (row.previous ? "skipped" : "queued")),
+      rows.map((row) => row.previous?.source_job_id || null),
+      rows.map((row) => row.previous?.detected_type || null),
+      rows.map((row) => row.previous?.detected_encoding || null),
+      rows.map((row) => row.previous?.ruleset_version || null),
+    ]
+  );
+
+  const toScan = objects.filter((obj) => !unchanged.has(obj.Key));
+  const unsent = await enqueueObjects(job.job_id, job.bucket, toScan);
+  if (unsent.length > 0) {
+    throw new Error(
+      `Failed to queue ${unsent.length} of ${toScan.length} objects`
+    );
+  }
+
+  return {
+    recorded: objects.length,
+    skipped: unchanged.size,
+    enqueued: toScan.length,
+  };
+}
+
+/**
+ * List a job's objects a page at a time from its checkpoint, the S3
+ * continuation token stored on the job. Each page is recorded and queued
+ * before the checkpoint moves past it, so an enumeration that dies resumes
+ * with the page it was on.
+ * @param {object} pool - Database pool
+ * @param {object} job - jobs row, with its enumeration_token
+ * @param {Function} shouldStop - Called between pages; return true to stop
+ * @returns {Promise<boolean>} Whether every object has been listed
+ */
+async function enumerateJob(pool, job, shouldStop) {
+  let continuationToken = job.enumeration_token;
+
+  do {
+    const response = await s3Client.send(
+      new ListObjectsV2Command({
+        Bucket: job.bucket,
+        Prefix: job.prefix || "",
+        MaxKeys: 1000,
+        ContinuationToken: continuationToken || undefined,
+      })
+    );
+
+    // Empty objects are not scanned
+    const objects = (response.Contents || []).filter((obj) => obj.Size > 0);
+    const page =
+      objects.length > 0
+        ? await recordObjectPage(pool, job, objects)
+        : { recorded: 0, skipped: 0, enqueued: 0 };
+
+    continuationToken = response.NextContinuationToken || null;
+    await pool.query(
+      `UPDATE jobs
+       SET enumeration_token = $2,
+           enumeration_status = CASE WHEN $2::text IS NULL THEN 'complete'
+                                     ELSE enumeration_status END,
+           enumeration_error = NULL, updated_at = NOW()
+       WHERE job_id = $1`,
+      [job.job_id, continuationToken]
+    );
+
+    console.log(
+      `Job ${job.job_id}: recorded ${page.recorded} objects, skipped ${
+        page.skipped
+      } unchanged, enqueued ${page.enqueued}${
+        continuationToken ? "" : "; listing complete"
+      }`
+    );
+  } while (continuationToken && !shouldStop());
+
+  return !continuationToken;
+}
+
+module.exports = {
+  enqueueObjects,
+  validateScanParameters,
+  createScanJob,
+  queueEnumeration,
+  enumerateJob,
+};
@@ -0,0 +1,83 @@
+const { validatePattern } = require("./custom-detectors");
+
+const MAX_REASON_LENGTH = 500;
+const MAX_KEY_PATTERN_LENGTH = 1024;
+const FINGERPRINT_REGEX = /^[0-9a-f]{64}$/;
+
+// Fields a rule can match on; at least one must be set
+const MATCH_FIELDS = [
+  "bucket",
+  "key_pattern",
+  "detector",
+  "value_pattern",
+  "fingerprint",
+];
+
+function isBlank(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Validate a complete suppression rule
+ * @param {object} rule - Rule fields as accepted by the API
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+function validateSuppressionRule(rule) {
+  const { reason, bucket, key_pattern, detector, value_pattern, fingerprint } =
+    rule;
+
+  if (
+    typeof reason !== "string" ||
+    reason.trim() === "" ||
+    reason.length > MAX_REASON_LENGTH
+  ) {
+    return `reason must be a non-empty string of at most ${MAX_REASON_LENGTH} characters`;
+  }
+
+  if (MATCH_FIELDS.every((field) => isBlank(rule[field]))) {
+    return `At least one of ${MATCH_FIELDS.join(", ")} is required`;
+  }
+
+  for (const [field, value] of Object.entries({ bucket, detector })) {
+    if (!isBlank(value) && (typeof value !== "string" || value === "")) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+
+  if (
+    !isBlank(key_pattern) &&
+    (typeof key_pattern !== "string" ||
+      key_pattern === "" ||
+      key_pattern.length > MAX_KEY_PATTERN_LENGTH)
+  ) {
+    return `key_pattern must be a glob of at most ${MAX_KEY_PATTERN_LENGTH} characters`;
+  }
+
+  if (!isBlank(value_pattern)) {
+    const patternError = validatePattern(value_pattern);
+    if (patternError) {
+      return `value_pattern: ${patternError}`;
+    }
+  }
+
+  if (
+    !isBlank(fingerprint) &&
+    (typeof fingerprint !== "string" || !FINGERPRINT_REGEX.test(fingerprint))
+  ) {
+    return "fingerprint must be a finding fingerprint (64 hex characters)";
+  }
+
+  if (!isBlank(rule.expires_at)) {
+    const expiresAt = new Date(rule.expires_at);
+    if (typeof rule.expires_at !== "string" || isNaN(expiresAt.getTime())) {
+      return "expires_at must be an ISO 8601 timestamp";
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  validateSuppressionRule,
+};
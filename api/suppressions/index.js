@@ -0,0 +1,193 @@
+const { getPool } = require("./shared/db");
+const { validateSuppressionRule } = require("./shared/suppressions");
+const { v4: uuidv4 } = require("uuid");
+
+const RULE_COLUMNS =
+  "rule_id, reason, bucket, key_pattern, detector, value_pattern, fingerprint, expires_at, active, created_at, updated_at";
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (typeof event.body === "string") {
+    return JSON.parse(event.body);
+  }
+  return event.body || {};
+}
+
+async function createRule(pool, body) {
+  const rule = {
+    reason: body.reason,
+    bucket: body.bucket ?? null,
+    key_pattern: body.key_pattern ?? null,
+    detector: body.detector ?? null,
+    value_pattern: body.value_pattern ?? null,
+    fingerprint: body.fingerprint ?? null,
+    expires_at: body.expires_at ?? null,
+  };
+
+  const validationError = validateSuppressionRule(rule);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO suppression_rules
+       (rule_id, reason, bucket, key_pattern, detector, value_pattern, fingerprint, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${RULE_COLUMNS}`,
+    [
+      uuidv4(),
+      rule.reason,
+      rule.bucket,
+      rule.key_pattern,
+      rule.detector,
+      rule.value_pattern,
+      rule.fingerprint,
+      rule.expires_at,
+    ]
+  );
+
+  console.log(`Created suppression rule ${result.rows[0].rule_id}`);
+  return jsonResponse(201, result.rows[0]);
+}
+
+async function listRules(pool, params) {
+  // Expired rules are listed with active ones; they simply no longer apply
+  const includeInactive = params.include_inactive === "true";
+  const query = `SELECT ${RULE_COLUMNS} FROM suppression_rules ${
+    includeInactive ? "" : "WHERE active = TRUE"
+  } ORDER BY created_at ASC`;
+
+  const result = await pool.query(query);
+  return jsonResponse(200, {
+    rules: result.rows,
+    count: result.rows.length,
+  });
+}
+
+async function updateRule(pool, ruleId, body) {
+  const existing = await pool.query(
+    `SELECT ${RULE_COLUMNS} FROM suppression_rules WHERE rule_id = $1`,
+    [ruleId]
+  );
+  if (existing.rows.length === 0) {
+    return jsonResponse(404, { error: "Suppression rule not found" });
+  }
+
+  // Fields can be cleared by sending null
+  const current = existing.rows[0];
+  const pick = (field) =>
+    body[field] !== undefined ? body[field] : current[field];
+  const rule = {
+    reason: pick("reason"),
+    bucket: pick("bucket"),
+    key_pattern: pick("key_pattern"),
+    detector: pick("detector"),
+    value_pattern: pick("value_pattern"),
+    fingerprint: pick("fingerprint"),
+    expires_at:
+      body.expires_at !== undefined
+        ? body.expires_at
+        : current.expires_at && current.expires_at.toISOString(),
+    active: body.active ?? current.active,
+  };
+
+  if (typeof rule.active !== "boolean") {
+    return jsonResponse(400, { error: "active must be a boolean" });
+  }
+
+  const validationError = validateSuppressionRule(rule);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  const result = await pool.query(
+    `UPDATE suppression_rules
+     SET reason = $1, bucket = $2, key_pattern = $3, detector = $4,
+         value_pattern = $5, fingerprint = $6, expires_at = $7,
+         active = $8, updated_at = NOW()
+     WHERE rule_id = $9
+     RETURNING ${RULE_COLUMNS}`,
+    [
+      rule.reason,
+      rule.bucket,
+      rule.key_pattern,
+      rule.detector,
+      rule.value_pattern,
+      rule.fingerprint,
+      rule.expires_at,
+      rule.active,
+      ruleId,
+    ]
+  );
+
+  console.log(`Updated suppression rule ${ruleId}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+async function disableRule(pool, ruleId) {
+  const result = await pool.query(
+    `UPDATE suppression_rules
+     SET active = FALSE, updated_at = NOW()
+     WHERE rule_id = $1
+     RETURNING ${RULE_COLUMNS}`,
+    [ruleId]
+  );
+  if (result.rows.length === 0) {
+    return jsonResponse(404, { error: "Suppression rule not found" });
+  }
+
+  console.log(`Disabled suppression rule ${ruleId}`);
+  return jsonResponse(200, result.rows[0]);
+}
+
+exports.handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event));
+
+  try {
+    const routeKey = event.routeKey;
+    const ruleId = event.pathParameters?.rule_id;
+
+    if (ruleId !== undefined && !uuidRegex.test(ruleId)) {
+      return jsonResponse(400, { error: "Invalid rule_id format" });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    const pool = await getPool();
+
+    switch (routeKey) {
+      case "POST /suppressions":
+        return await createRule(pool, body);
+      case "GET /suppressions":
+        return await listRules(pool, event.queryStringParameters || {});
+      case "PUT /suppressions/{rule_id}":
+        return await updateRule(pool, ruleId, body);
+      case "DELETE /suppressions/{rule_id}":
+        return await disableRule(pool, ruleId);
+      default:
+        return jsonResponse(404, { error: `Unsupported route: ${routeKey}` });
+    }
+  } catch (error) {
+    console.error("Error handling suppressions request:", error);
+
+    return jsonResponse(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
@@ -1,14 +1,72 @@
+-- Applying this file again upgrades a database created from an earlier
+-- version of it: CREATE TABLE IF NOT EXISTS leaves existing tables alone, so
+-- each table is followed by the columns and constraints added to it since.
+
+-- Scan schedules: scans started by the scheduler Lambda on a cron schedule
+CREATE TABLE IF NOT EXISTS scan_schedules (
+    schedule_id UUID PRIMARY KEY,
+    name TEXT NOT NULL,
+    cron TEXT NOT NULL, -- five fields, evaluated in UTC
+    bucket TEXT NOT NULL,
+    prefix TEXT,
+    detectors TEXT[], -- NULL runs every detector enabled by default
+    tag_objects BOOLEAN NOT NULL DEFAULT FALSE,
+    incremental BOOLEAN NOT NULL DEFAULT FALSE,
+    overlap_policy TEXT NOT NULL DEFAULT 'skip' CHECK (overlap_policy IN ('skip','allow')), -- when the schedule's previous job is still running
+    missed_run_policy TEXT NOT NULL DEFAULT 'run_once' CHECK (missed_run_policy IN ('run_once','skip')), -- when runs were missed, e.g. while the scheduler was down
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','paused','deleted')),
+    next_run_at TIMESTAMPTZ, -- next occurrence of the cron expression not yet handled
+    last_run_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_schedules_due ON scan_schedules(next_run_at) WHERE status = 'active';
+
 -- Jobs table: tracks scan jobs
 CREATE TABLE IF NOT EXISTS jobs (
     job_id UUID PRIMARY KEY,
     bucket TEXT NOT NULL,
     prefix TEXT,
+    detectors TEXT[], -- NULL runs every detector enabled by default
+    tag_objects BOOLEAN NOT NULL DEFAULT FALSE, -- write classification tags to scanned objects
+    incremental BOOLEAN NOT NULL DEFAULT FALSE, -- skip objects already scanned at the same ETag
+    kind TEXT NOT NULL DEFAULT 'scan' CHECK (kind IN ('scan','rescan','continuous')), -- rescan jobs are created by POST /rescan, continuous jobs by S3 events
+    schedule_id UUID REFERENCES scan_schedules(schedule_id), -- the schedule that started the job
+    enumeration_status TEXT NOT NULL DEFAULT 'complete' CHECK (enumeration_status IN ('enumerating','complete','failed')), -- listing of the job's objects by the enumerator
+    enumeration_token TEXT, -- checkpoint: S3 continuation token of the next page to list
+    enumeration_lease_until TIMESTAMPTZ, -- while an enumerator is listing the job
+    enumeration_error TEXT, -- last error listing the job's objects
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+ALTER TABLE jobs
+    ADD COLUMN IF NOT EXISTS detectors TEXT[],
+    ADD COLUMN IF NOT EXISTS tag_objects BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS incremental BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'scan',
+    ADD COLUMN IF NOT EXISTS schedule_id UUID,
+    ADD COLUMN IF NOT EXISTS enumeration_status TEXT NOT NULL DEFAULT 'complete',
+    ADD COLUMN IF NOT EXISTS enumeration_token TEXT,
+    ADD COLUMN IF NOT EXISTS enumeration_lease_until TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS enumeration_error TEXT;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_kind_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_kind_check
+    CHECK (kind IN ('scan','rescan','continuous'));
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_enumeration_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_enumeration_status_check
+    CHECK (enumeration_status IN ('enumerating','complete','failed'));
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_schedule_id_fkey;
+ALTER TABLE jobs ADD CONSTRAINT jobs_schedule_id_fkey
+    FOREIGN KEY (schedule_id) REFERENCES scan_schedules(schedule_id);
+
 CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_jobs_bucket ON jobs(bucket);
+CREATE INDEX IF NOT EXISTS idx_jobs_schedule ON jobs(schedule_id, created_at DESC);
+-- One continuous job per bucket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_continuous ON jobs(bucket) WHERE kind = 'continuous';
 
 -- Job objects table: tracks individual file processing status
 CREATE TABLE IF NOT EXISTS job_objects (
@@ -16,15 +74,39 @@ CREATE TABLE IF NOT EXISTS job_objects (
     bucket TEXT NOT NULL,
     key TEXT NOT NULL,
     etag TEXT NOT NULL,
-    status TEXT NOT NULL CHECK (status IN ('queued','processing','succeeded','failed')),
+    status TEXT NOT NULL CHECK (status IN ('queued','processing','succeeded','failed','retrying','dead_lettered','skipped','superseded')), -- superseded: overwritten before it was scanned
     last_error TEXT,
+    error_code TEXT, -- e.g. EXTRACTION_FAILED, ARCHIVE_LIMIT_EXCEEDED
+    attempts INTEGER NOT NULL DEFAULT 0, -- deliveries of the object's message, from ApproximateReceiveCount
+    errors JSONB NOT NULL DEFAULT '[]', -- [{attempt, error, error_code, at}], one entry per failed attempt
+    carried_from_job_id UUID, -- for skipped objects, the job whose scan of this ETag the job relies on; findings are carried forward by ETag
+    ruleset_version TEXT, -- detector ruleset of the latest attempt, see rulesets
+    detected_type TEXT, -- sniffed from content: text, gzip, zip, pdf, png, binary, ...
+    detected_encoding TEXT, -- character encoding of text content, e.g. utf-8, utf-16le
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     PRIMARY KEY (job_id, bucket, key, etag),
     FOREIGN KEY (job_id) REFERENCES jobs(job_id) ON DELETE CASCADE
 );
 
+ALTER TABLE job_objects
+    ADD COLUMN IF NOT EXISTS error_code TEXT,
+    ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS errors JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS carried_from_job_id UUID,
+    ADD COLUMN IF NOT EXISTS ruleset_version TEXT,
+    ADD COLUMN IF NOT EXISTS detected_type TEXT,
+    ADD COLUMN IF NOT EXISTS detected_encoding TEXT;
+
+-- Added NOT VALID and validated separately, so the table is not locked
+-- against writes while its rows are checked
+ALTER TABLE job_objects DROP CONSTRAINT IF EXISTS job_objects_status_check;
+ALTER TABLE job_objects ADD CONSTRAINT job_objects_status_check
+    CHECK (status IN ('queued','processing','succeeded','failed','retrying','dead_lettered','skipped','superseded')) NOT VALID;
+ALTER TABLE job_objects VALIDATE CONSTRAINT job_objects_status_check;
+
 CREATE INDEX IF NOT EXISTS idx_job_objects_status ON job_objects(job_id, status);
 CREATE INDEX IF NOT EXISTS idx_job_objects_updated_at ON job_objects(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_objects_object ON job_objects(bucket, key, etag);
 
 -- Findings table: stores detected sensitive data
 CREATE TABLE IF NOT EXISTS findings (
@@ -33,21 +115,229 @@ CREATE TABLE IF NOT EXISTS findings (
     bucket TEXT NOT NULL,
     key TEXT NOT NULL,
     etag TEXT NOT NULL,
+    entry_path TEXT NOT NULL DEFAULT '', -- path inside an archive, '' for the object itself
     detector TEXT NOT NULL,
+    severity TEXT, -- critical, high, medium or low, from the detector
     masked_match TEXT NOT NULL,
     context TEXT,
-    byte_offset INTEGER,
+    byte_offset BIGINT, -- byte offset of the match in the object
+    line_number INTEGER, -- 1-based
+    column_number INTEGER, -- 1-based, in characters
+    location JSONB, -- structural location, e.g. {"json_path": "$.users[3].ssn"}
+    confidence NUMERIC(3, 2), -- 0-1, from validators, keyword proximity and match shape
+    low_confidence BOOLEAN NOT NULL DEFAULT FALSE,
+    test_data BOOLEAN NOT NULL DEFAULT FALSE, -- a known test or example value, kept when TEST_DATA_POLICY=record
+    fingerprint TEXT, -- HMAC-SHA256 of the detector and matched value; the same value has the same fingerprint everywhere
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved','superseded')), -- superseded: the object was overwritten, or a later scan of the ETag no longer found it
+    resolved_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    components JSONB, -- for composite findings such as AWS_CREDENTIAL_PAIR: [{detector, byte_offset, fingerprint}] of the findings they join
+    ruleset_version TEXT, -- detector ruleset of the latest scan that produced the finding, see rulesets
     created_at TIMESTAMPTZ DEFAULT NOW(),
     FOREIGN KEY (job_id) REFERENCES jobs(job_id) ON DELETE CASCADE
 );
 
--- Unique index for deduplication
-CREATE UNIQUE INDEX IF NOT EXISTS findings_dedupe_idx 
-ON findings (bucket, key, etag, detector, byte_offset);
+ALTER TABLE findings
+    ADD COLUMN IF NOT EXISTS entry_path TEXT NOT NULL DEFAULT '',
+    ADD COLUMN IF NOT EXISTS severity TEXT,
+    ADD COLUMN IF NOT EXISTS line_number INTEGER,
+    ADD COLUMN IF NOT EXISTS column_number INTEGER,
+    ADD COLUMN IF NOT EXISTS location JSONB,
+    ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2),
+    ADD COLUMN IF NOT EXISTS low_confidence BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS test_data BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS fingerprint TEXT,
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open',
+    ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS resolution_note TEXT,
+    ADD COLUMN IF NOT EXISTS components JSONB,
+    ADD COLUMN IF NOT EXISTS ruleset_version TEXT;
+
+ALTER TABLE findings DROP CONSTRAINT IF EXISTS findings_status_check;
+ALTER TABLE findings ADD CONSTRAINT findings_status_check
+    CHECK (status IN ('open','resolved','superseded')) NOT VALID;
+ALTER TABLE findings VALIDATE CONSTRAINT findings_status_check;
+
+-- Rewritten only when it is still an INTEGER, as it was first created
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'findings' AND column_name = 'byte_offset'
+          AND data_type = 'integer'
+    ) THEN
+        ALTER TABLE findings ALTER COLUMN byte_offset TYPE BIGINT;
+    END IF;
+END $$;
+
+-- Unique index for deduplication. ON CONFLICT in the workers names these
+-- columns, so an index created before entry_path existed is replaced.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes
+        WHERE indexname = 'findings_dedupe_idx'
+          AND indexdef LIKE '%(bucket, key, etag, entry_path, detector, byte_offset)%'
+    ) THEN
+        DROP INDEX IF EXISTS findings_dedupe_idx;
+        CREATE UNIQUE INDEX findings_dedupe_idx
+        ON findings (bucket, key, etag, entry_path, detector, byte_offset);
+    END IF;
+END $$;
 
 -- Indexes for query performance
 CREATE INDEX IF NOT EXISTS idx_findings_job_id ON findings(job_id);
 CREATE INDEX IF NOT EXISTS idx_findings_bucket_key ON findings(bucket, key);
 CREATE INDEX IF NOT EXISTS idx_findings_detector ON findings(detector);
 CREATE INDEX IF NOT EXISTS idx_findings_created_at ON findings(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_findings_fingerprint ON findings(fingerprint);
+
+-- Findings of scans in progress. Workers stage findings while they read an
+-- object and move them into findings in one short transaction with the
+-- object's status, so no transaction stays open for the length of a scan.
+CREATE TABLE IF NOT EXISTS staged_findings (
+    stage_id UUID NOT NULL, -- one attempt at scanning an object
+    job_id UUID NOT NULL,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    etag TEXT NOT NULL,
+    entry_path TEXT NOT NULL DEFAULT '',
+    detector TEXT NOT NULL,
+    severity TEXT,
+    masked_match TEXT NOT NULL,
+    context TEXT,
+    byte_offset BIGINT,
+    line_number INTEGER,
+    column_number INTEGER,
+    location JSONB,
+    confidence NUMERIC(3, 2),
+    low_confidence BOOLEAN NOT NULL DEFAULT FALSE,
+    test_data BOOLEAN NOT NULL DEFAULT FALSE,
+    fingerprint TEXT,
+    components JSONB,
+    ruleset_version TEXT,
+    staged_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staged_findings_stage_id ON staged_findings(stage_id);
+CREATE INDEX IF NOT EXISTS idx_staged_findings_staged_at ON staged_findings(staged_at);
+
+-- Custom detectors table: company-specific regex detectors managed via the API
+CREATE TABLE IF NOT EXISTS custom_detectors (
+    detector_id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    pattern TEXT NOT NULL,
+    flags TEXT NOT NULL DEFAULT '',
+    context_keywords TEXT[],
+    mask_style TEXT NOT NULL,
+    validator TEXT NOT NULL DEFAULT 'none',
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
 
+CREATE INDEX IF NOT EXISTS idx_custom_detectors_active ON custom_detectors(active);
+
+-- Suppression rules: matches they cover are counted per job but not stored
+-- as findings. Every criterion that is set must match.
+CREATE TABLE IF NOT EXISTS suppression_rules (
+    rule_id UUID PRIMARY KEY,
+    reason TEXT NOT NULL,
+    bucket TEXT,
+    key_pattern TEXT, -- glob: * within a path segment, ** across segments, ?
+    detector TEXT,
+    value_pattern TEXT, -- regex tested against the masked match
+    fingerprint TEXT, -- a finding's fingerprint
+    expires_at TIMESTAMPTZ, -- NULL never expires
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE suppression_rules ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_suppression_rules_active ON suppression_rules(active);
+
+-- Matches hidden by suppression rules, per object. Rewritten on each scan of
+-- the object so retries don't double count.
+CREATE TABLE IF NOT EXISTS suppressed_counts (
+    job_id UUID NOT NULL,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    rule_id UUID NOT NULL,
+    detector TEXT NOT NULL,
+    count INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (job_id, bucket, key, rule_id, detector),
+    FOREIGN KEY (job_id) REFERENCES jobs(job_id) ON DELETE CASCADE
+);
+
+-- Remediation actions: the audit trail of what was done to objects with
+-- findings, and what is needed to undo it
+CREATE TABLE IF NOT EXISTS remediation_actions (
+    action_id UUID PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES jobs(job_id),
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    etag TEXT, -- of the object as scanned; quarantine and redaction leave a changed object alone
+    action TEXT NOT NULL CHECK (action IN ('quarantine','redact','acl','deny')),
+    detectors TEXT[] NOT NULL, -- detectors whose findings selected the action
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','applied','failed','reverting','reverted','revert_failed')),
+    quarantine_bucket TEXT, -- where the original was moved (quarantine) or kept (redact)
+    quarantine_key TEXT,
+    source_version_id TEXT, -- version of the original that was deleted or overwritten
+    delete_marker_version_id TEXT, -- quarantine: delete marker hiding the object in a versioned bucket
+    redacted_etag TEXT, -- redact: of the object written; a revert leaves a changed object alone
+    previous_acl JSONB, -- acl: owner and grants before the change
+    policy_sid TEXT, -- deny: Sid of the job's bucket policy statement the object was added to
+    note TEXT, -- outcome, e.g. how many matches were redacted
+    error_message TEXT,
+    requested_at TIMESTAMPTZ DEFAULT NOW(),
+    applied_at TIMESTAMPTZ,
+    revert_requested_at TIMESTAMPTZ,
+    reverted_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE remediation_actions
+    ADD COLUMN IF NOT EXISTS etag TEXT,
+    ADD COLUMN IF NOT EXISTS delete_marker_version_id TEXT,
+    ADD COLUMN IF NOT EXISTS redacted_etag TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_remediation_actions_job ON remediation_actions(job_id, requested_at);
+CREATE INDEX IF NOT EXISTS idx_remediation_actions_object ON remediation_actions(bucket, key);
+-- One active action per object, even when requests race; keep the status
+-- list in sync with ACTIVE_STATUSES in api/remediations
+CREATE UNIQUE INDEX IF NOT EXISTS idx_remediation_actions_active ON remediation_actions(bucket, key)
+    WHERE status IN ('pending','applied','reverting','revert_failed');
+
+-- Detector rulesets: a hash of the detector definitions and the scanner
+-- version, recorded by each worker the first time it scans with it
+CREATE TABLE IF NOT EXISTS rulesets (
+    ruleset_version TEXT PRIMARY KEY,
+    scanner_version TEXT NOT NULL,
+    detectors TEXT[] NOT NULL, -- names of the detectors it covers
+    detector_versions JSONB NOT NULL DEFAULT '{}', -- {detector: hash of its definition}; objects are out of date for the detectors whose hash changed
+    first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW() -- when a worker last started scanning with it; the latest is the current ruleset
+);
+
+ALTER TABLE rulesets
+    ADD COLUMN IF NOT EXISTS detector_versions JSONB NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ DEFAULT NOW();
+
+DROP INDEX IF EXISTS idx_rulesets_first_seen_at;
+CREATE INDEX IF NOT EXISTS idx_rulesets_last_seen_at ON rulesets(last_seen_at DESC);
+
+-- Schedule runs: what the scheduler did at each occurrence it handled
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    schedule_id UUID NOT NULL REFERENCES scan_schedules(schedule_id),
+    scheduled_for TIMESTAMPTZ NOT NULL, -- the occurrence of the cron expression
+    status TEXT NOT NULL CHECK (status IN ('started','skipped','missed','failed')),
+    job_id UUID REFERENCES jobs(job_id), -- started: the job it created
+    missed_count INTEGER NOT NULL DEFAULT 0, -- earlier occurrences not run, coalesced into this one
+    note TEXT, -- why the run was skipped, missed or failed
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (schedule_id, scheduled_for)
+);
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const tar = require("tar-stream");
+const yauzl = require("yauzl");
+const { ArchiveLimitError } = require("./errors");
+
+// Guards against archive bombs. Limits apply per top-level S3 object.
+const ARCHIVE_MAX_DEPTH = parseInt(process.env.ARCHIVE_MAX_DEPTH || "3");
+const ARCHIVE_MAX_ENTRIES = parseInt(
+  process.env.ARCHIVE_MAX_ENTRIES || "10000"
+);
+const ARCHIVE_MAX_EXPANSION_RATIO = parseInt(
+  process.env.ARCHIVE_MAX_EXPANSION_RATIO || "100"
+);
+// Small archives compress well; never cap expansion below this many bytes
+const ARCHIVE_MIN_EXPANSION_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Create the unpacking limits shared by every archive layer of one object
+ * @param {number} compressedSize - Size of the S3 object in bytes
+ */
+function createArchiveLimits(compressedSize) {
+  return {
+    maxDepth: ARCHIVE_MAX_DEPTH,
+    maxEntries: ARCHIVE_MAX_ENTRIES,
+    maxExpandedBytes: Math.max(
+      compressedSize * ARCHIVE_MAX_EXPANSION_RATIO,
+      ARCHIVE_MIN_EXPANSION_BYTES
+    ),
+    expandedBytes: 0,
+    entries: 0,
+  };
+}
+
+function countEntry(limits, name) {
+  limits.entries++;
+  if (limits.entries > limits.maxEntries) {
+    throw new ArchiveLimitError(
+      `Archive contains more than ${limits.maxEntries} entries (at ${name})`
+    );
+  }
+}
+
+function checkDepth(limits, depth, name) {
+  if (depth > limits.maxDepth) {
+    throw new ArchiveLimitError(
+      `Archive nesting exceeds ${limits.maxDepth} levels (at ${name})`
+    );
+  }
+}
+
+/**
+ * Pass-through stream that charges decompressed bytes against the
+ * expansion budget and fails once it is exhausted
+ */
+function meter(limits) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      limits.expandedBytes += chunk.length;
+      if (limits.expandedBytes > limits.maxExpandedBytes) {
+        callback(
+          new ArchiveLimitError(
+            `Archive expands beyond ${limits.maxExpandedBytes} bytes (ratio limit ${ARCHIVE_MAX_EXPANSION_RATIO}:1)`
+          )
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+function forwardErrors(source, destination) {
+  source.on("error", (error) => destination.destroy(error));
+  return source.pipe(destination);
+}
+
+/**
+ * Decompress a gzip stream
+ * @param {Readable} stream - Compressed data
+ * @param {object} limits - Limits from createArchiveLimits
+ * @returns {Readable} Decompressed data
+ */
+function gunzip(stream, limits) {
+  const inflated = forwardErrors(stream, zlib.createGunzip());
+  return forwardErrors(inflated, meter(limits));
+}
+
+/**
+ * Call onEntry for each regular file in a tar stream, one at a time
+ * @param {Readable} stream - Tar data
+ * @param {object} limits - Limits from createArchiveLimits
+ * @param {Function} onEntry - async (name, entryStream) => void; must
+ *   consume the entry stream
+ */
+async function forEachTarEntry(stream, limits, onEntry) {
+  const extract = forwardErrors(stream, tar.extract());
+
+  for await (const entry of extract) {
+    if (entry.header.type !== "file") {
+      entry.resume();
+      continue;
+    }
+
+    countEntry(limits, entry.header.name);
+    await onEntry(entry.header.name, forwardErrors(entry, meter(limits)));
+  }
+}
+
+/**
+ * Spill a stream to a temporary file for formats that need random access,
+ * and remove it once fn settles
+ * @param {Readable} stream - Data to spill
+ * @param {string} prefix - Temporary directory name prefix
+ * @param {Function} fn - async (filePath) => result
+ */
+async function withTempFile(stream, prefix, fn) {
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), prefix));
+  const filePath = path.join(tmpDir, "data");
+
+  try {
+    await pipeline(stream, fs.createWriteStream(filePath));
+    return await fn(filePath);
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Call onEntry for each file in a zip stream, one at a time. Zip needs
+ * random access to its central directory, so the stream is spilled to a
+ * temporary file first.
+ * @param {Readable} stream - Zip data
+ * @param {object} limits - Limits from createArchiveLimits
+ * @param {Function} onEntry - async (name, entryStream) => void; must
+ *   consume the entry stream
+ */
+async function forEachZipEntry(stream, limits, onEntry) {
+  await withTempFile(stream, "scan-zip-", async (zipPath) => {
+    const zipFile = await yauzl.openPromise(zipPath, { lazyEntries: true });
+    try {
+      if (zipFile.entryCount + limits.entries > limits.maxEntries) {
+        throw new ArchiveLimitError(
+          `Archive contains more than ${limits.maxEntries} entries (${zipFile.entryCount} in zip)`
+        );
+      }
+
+      for await (const entry of zipFile.eachEntry()) {
+        if (entry.fileName.endsWith("/")) {
+          continue; // directory
+        }
+
+        countEntry(limits, entry.fileName);
+        if (
+          limits.expandedBytes + entry.uncompressedSize >
+          limits.maxExpandedBytes
+        ) {
+          throw new ArchiveLimitError(
+            `Archive expands beyond ${limits.maxExpandedBytes} bytes (at ${entry.fileName})`
+          );
+        }
+
+        const entryStream = await zipFile.openReadStreamPromise(entry);
+        await onEntry(
+          entry.fileName,
+          forwardErrors(entryStream, meter(limits))
+        );
+      }
+    } finally {
+      zipFile.close();
+    }
+  });
+}
+
+module.exports = {
+  createArchiveLimits,
+  checkDepth,
+  gunzip,
+  forEachTarEntry,
+  forEachZipEntry,
+  forwardErrors,
+  withTempFile,
+  ARCHIVE_MAX_DEPTH,
+  ARCHIVE_MAX_ENTRIES,
+  ARCHIVE_MAX_EXPANSION_RATIO,
+};
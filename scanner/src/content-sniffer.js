@@ -0,0 +1,236 @@
+const { Readable } = require("stream");
+const { getFileKind } = require("./s3-handler");
+
+// Bytes read from the start of a stream to identify its content
+const SNIFF_BYTES = 8192;
+
+// Text with more than this share of control characters is treated as binary
+const MAX_CONTROL_CHAR_RATIO = 0.1;
+
+const ZIP_BASED_KINDS = ["docx", "xlsx", "pptx"];
+
+// Formats identified by their leading bytes. Types without a scanner
+// (images, executables, ...) are recognised so they can be skipped cheaply.
+const SIGNATURES = [
+  { type: "gzip", offset: 0, bytes: [0x1f, 0x8b] },
+  { type: "zip", offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "zip", offset: 0, bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: "tar", offset: 257, bytes: Buffer.from("ustar") },
+  { type: "pdf", offset: 0, bytes: Buffer.from("%PDF-") },
+  { type: "parquet", offset: 0, bytes: Buffer.from("PAR1") },
+  { type: "avro", offset: 0, bytes: [0x4f, 0x62, 0x6a, 0x01] },
+  { type: "png", offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: "gif", offset: 0, bytes: Buffer.from("GIF8") },
+  { type: "bzip2", offset: 0, bytes: Buffer.from("BZh") },
+  { type: "xz", offset: 0, bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: "zstd", offset: 0, bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { type: "7z", offset: 0, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: "elf", offset: 0, bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: "ole2", offset: 0, bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+  { type: "mp4", offset: 4, bytes: Buffer.from("ftyp") },
+  { type: "sqlite", offset: 0, bytes: Buffer.from("SQLite format 3\0") },
+];
+
+const BOMS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+function startsWith(head, bytes, offset = 0) {
+  if (head.length < offset + bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    if (head[offset + i] !== bytes[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function isControlByte(byte) {
+  // Tab, newline, vertical tab, form feed, carriage return and escape are
+  // common in text
+  return (
+    (byte < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1b].includes(byte)) ||
+    byte === 0x7f
+  );
+}
+
+function looksLikeText(text) {
+  if (text.length === 0) {
+    return true;
+  }
+  let controls = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (isControlByte(text.charCodeAt(i))) {
+      controls++;
+    }
+  }
+  return controls / text.length <= MAX_CONTROL_CHAR_RATIO;
+}
+
+/**
+ * UTF-16 without a BOM shows up as a NUL in every other byte of ASCII text
+ */
+function detectUtf16(head) {
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < head.length; i++) {
+    if (head[i] === 0) {
+      if (i % 2 === 0) {
+        evenNuls++;
+      } else {
+        oddNuls++;
+      }
+    }
+  }
+
+  const pairs = head.length / 2;
+  if (oddNuls > pairs * 0.5 && evenNuls < pairs * 0.05) {
+    return "utf-16le";
+  }
+  if (evenNuls > pairs * 0.5 && oddNuls < pairs * 0.05) {
+    return "utf-16be";
+  }
+  return null;
+}
+
+/**
+ * Detect the character encoding of the start of a text file
+ * @param {Buffer} head - Leading bytes
+ * @returns {{encoding: string, bomLength: number}|null} null for binary
+ */
+function detectEncoding(head) {
+  for (const bom of BOMS) {
+    if (startsWith(head, bom.bytes)) {
+      return { encoding: bom.encoding, bomLength: bom.bytes.length };
+    }
+  }
+
+  if (head.includes(0)) {
+    const encoding = detectUtf16(head);
+    if (!encoding) {
+      return null;
+    }
+    const text = new TextDecoder(encoding).decode(head);
+    return looksLikeText(text) ? { encoding, bomLength: 0 } : null;
+  }
+
+  // A multi-byte sequence cut off at the end of the head is not an error
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(head, {
+      stream: true,
+    });
+    return looksLikeText(text) ? { encoding: "utf-8", bomLength: 0 } : null;
+  } catch {
+    // Not UTF-8: assume a single-byte Western encoding. Latin-1 labels are
+    // decoded as windows-1252, its superset.
+    const text = new TextDecoder("windows-1252").decode(head);
+    return looksLikeText(text)
+      ? { encoding: "windows-1252", bomLength: 0 }
+      : null;
+  }
+}
+
+/**
+ * Decide how to scan content of a sniffed type. The content decides; the
+ * name only tells apart formats that share a container (a .docx is a zip)
+ * and distinguishes .tar.gz from plain gzip.
+ */
+function resolveKind(name, type) {
+  const nameKind = getFileKind(name);
+
+  switch (type) {
+    case "text":
+      return "text";
+    case "gzip":
+      return nameKind === "tgz" ? "tgz" : "gzip";
+    case "zip":
+      return ZIP_BASED_KINDS.includes(nameKind) ? nameKind : "zip";
+    case "tar":
+    case "pdf":
+    case "parquet":
+    case "avro":
+      return type;
+    default:
+      return null;
+  }
+}
+
+async function readHead(iterator) {
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  while (length < SNIFF_BYTES) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    const chunk = Buffer.from(next.value);
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  return { head: Buffer.concat(chunks), done };
+}
+
+/**
+ * Identify the content of a stream from its leading bytes
+ * @param {Readable} stream - Data to identify; must not be read afterwards
+ * @param {string} name - File name, used to refine container formats
+ * @returns {Promise<object>} `{ stream, type, kind, encoding, bomLength }`:
+ *   a stream replaying the whole content, the detected type ("text",
+ *   "gzip", "zip", "png", ... or "binary"), how to scan it (see
+ *   getFileKind; null when it cannot be scanned), and for text the
+ *   character encoding and the length of its byte order mark
+ */
+async function sniffStream(stream, name) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const { head, done } = await readHead(iterator);
+
+  const replay = Readable.from(
+    (async function* () {
+      yield head;
+      if (!done) {
+        // Delegating keeps destroy() of the replay reaching the source
+        yield* { [Symbol.asyncIterator]: () => iterator };
+      }
+    })(),
+    { objectMode: false }
+  );
+
+  const signature = SIGNATURES.find((candidate) =>
+    startsWith(head, candidate.bytes, candidate.offset)
+  );
+
+  let type;
+  let detected = { encoding: null, bomLength: 0 };
+  if (signature) {
+    type = signature.type;
+  } else {
+    const text = detectEncoding(head);
+    type = text ? "text" : "binary";
+    detected = text || detected;
+  }
+
+  const kind = resolveKind(name, type);
+
+  return {
+    stream: replay,
+    type: kind && kind !== "text" ? kind : type,
+    kind,
+    encoding: detected.encoding,
+    bomLength: detected.bomLength,
+  };
+}
+
+module.exports = {
+  sniffStream,
+  detectEncoding,
+  SNIFF_BYTES,
+};
@@ -0,0 +1,191 @@
+const { fingerprintMatch } = require("./fingerprints");
+const { LOW_CONFIDENCE_THRESHOLD } = require("./detectors");
+
+// An access key ID and a secret key at most this many bytes apart are
+// reported as a pair, as are two in the same CSV row, record or JSON object
+const CREDENTIAL_PAIR_MAX_DISTANCE = parseInt(
+  process.env.CREDENTIAL_PAIR_MAX_DISTANCE || "500"
+);
+
+const CREDENTIAL_PAIRS = [
+  {
+    name: "AWS_CREDENTIAL_PAIR",
+    id: "AWS_ACCESS_KEY",
+    secret: "AWS_SECRET_KEY",
+    severity: "critical",
+    classification: "credentials",
+  },
+];
+
+function parentPath(jsonPath) {
+  return jsonPath.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+}
+
+// Credential pairs whose components are all among the detectors
+function pairsOf(detectors) {
+  const names = new Set(detectors.map((detector) => detector.name));
+  return CREDENTIAL_PAIRS.filter(
+    (pair) => names.has(pair.id) && names.has(pair.secret)
+  );
+}
+
+/**
+ * Names of the composite findings a scan with the given detectors can report
+ * @param {object[]} detectors - Detectors the file is scanned with
+ * @returns {string[]}
+ */
+function compositeDetectorNames(detectors) {
+  return pairsOf(detectors).map((pair) => pair.name);
+}
+
+/**
+ * The row or object a finding sits in, for structured files: the CSV row
+ * or record, and within JSON the object holding the matched field
+ */
+function structuralGroup(location) {
+  if (!location || (location.row === undefined && !location.json_path)) {
+    return null;
+  }
+  return `${location.row ?? ""}|${
+    location.json_path ? parentPath(location.json_path) : ""
+  }`;
+}
+
+function isPaired(a, b) {
+  if (Math.abs(a.byte_offset - b.byte_offset) <= CREDENTIAL_PAIR_MAX_DISTANCE) {
+    return true;
+  }
+  const group = structuralGroup(a.location);
+  return group !== null && group === structuralGroup(b.location);
+}
+
+function componentReference(finding) {
+  return {
+    detector: finding.detector,
+    byte_offset: finding.byte_offset,
+    fingerprint: finding.fingerprint,
+  };
+}
+
+function buildPairFinding(pair, idFinding, secretFinding) {
+  const [first] = [idFinding, secretFinding].sort(
+    (a, b) => a.byte_offset - b.byte_offset
+  );
+  const confidence = Math.max(idFinding.confidence, secretFinding.confidence);
+  const fingerprint =
+    idFinding.fingerprint && secretFinding.fingerprint
+      ? fingerprintMatch(
+          pair.name,
+          `${idFinding.fingerprint}${secretFinding.fingerprint}`
+        )
+      : null;
+
+  return {
+    job_id: first.job_id,
+    bucket: first.bucket,
+    key: first.key,
+    etag: first.etag,
+    entry_path: first.entry_path,
+    detector: pair.name,
+    severity: pair.severity,
+    masked_match: `${idFinding.masked_match} / ${secretFinding.masked_match}`,
+    context: first.context,
+    byte_offset: first.byte_offset,
+    line_number: first.line_number,
+    column_number: first.column_number,
+    location: first.location,
+    confidence,
+    low_confidence: confidence < LOW_CONFIDENCE_THRESHOLD,
+    test_data: Boolean(idFinding.test_data || secretFinding.test_data),
+    fingerprint,
+    components: [
+      componentReference(idFinding),
+      componentReference(secretFinding),
+    ],
+  };
+}
+
+/**
+ * Create the correlation stage for one scanned file. It links the
+ * components of a credential, such as an AWS access key ID and its secret
+ * key, found close together into one composite finding that references
+ * both.
+ *
+ * Findings must be passed in file order, with byte offsets and locations
+ * set. Components from earlier batches are remembered while they are within
+ * CREDENTIAL_PAIR_MAX_DISTANCE, so pairs split across scan windows are
+ * still found; each pair is reported once.
+ *
+ * @param {object[]} detectors - Detectors the file is scanned with
+ * @returns {Function|null} (findings) => composite findings, or null when
+ *   the detectors cannot produce any pair
+ */
+function createCorrelator(detectors) {
+  const pairs = pairsOf(detectors);
+  if (pairs.length === 0) {
+    return null;
+  }
+
+  let recent = []; // components from earlier batches, still in reach
+  const paired = new WeakSet(); // components already part of a pair
+
+  return (findings) => {
+    const composites = [];
+
+    for (const pair of pairs) {
+      const isComponent = (finding) =>
+        finding.detector === pair.id || finding.detector === pair.secret;
+      const previous = recent.filter(isComponent);
+      const current = findings.filter(isComponent);
+
+      // Each component of the current batch is paired with the nearest
+      // unpaired counterpart before it
+      const seen = [...previous];
+      for (const finding of current) {
+        const counterpart =
+          finding.detector === pair.id ? pair.secret : pair.id;
+        let match = null;
+        for (let i = seen.length - 1; i >= 0; i--) {
+          const candidate = seen[i];
+          if (
+            candidate.detector === counterpart &&
+            !paired.has(candidate) &&
+            isPaired(candidate, finding)
+          ) {
+            match = candidate;
+            break;
+          }
+        }
+
+        if (match) {
+          paired.add(match);
+          paired.add(finding);
+          const [idFinding, secretFinding] =
+            finding.detector === pair.id ? [finding, match] : [match, finding];
+          composites.push(buildPairFinding(pair, idFinding, secretFinding));
+        }
+        seen.push(finding);
+      }
+    }
+
+    const all = [...recent, ...findings];
+    const last = all.length > 0 ? all[all.length - 1].byte_offset : 0;
+    recent = all.filter(
+      (finding) =>
+        last - finding.byte_offset <= CREDENTIAL_PAIR_MAX_DISTANCE &&
+        CREDENTIAL_PAIRS.some(
+          (pair) =>
+            finding.detector === pair.id || finding.detector === pair.secret
+        )
+    );
+
+    return composites;
+  };
+}
+
+module.exports = {
+  createCorrelator,
+  compositeDetectorNames,
+  CREDENTIAL_PAIRS,
+  CREDENTIAL_PAIR_MAX_DISTANCE,
+};
@@ -0,0 +1,122 @@
+const {
+  registerDetector,
+  unregisterDetector,
+  getDetector,
+  MASKERS,
+  VALIDATORS,
+} = require("./detectors");
+const { getActiveCustomDetectors } = require("./db");
+
+const REFRESH_INTERVAL_MS = parseInt(
+  process.env.CUSTOM_DETECTOR_REFRESH_MS || "60000"
+);
+
+// name -> updated_at of the definition currently registered
+const loaded = new Map();
+let lastRefresh = 0;
+
+/**
+ * Turn a custom_detectors row into a registry definition
+ * @param {object} row - custom_detectors row
+ * @returns {object|null} Detector definition, or null if the row is unusable
+ */
+function buildCustomDetector(row) {
+  let pattern;
+  try {
+    pattern = new RegExp(row.pattern, `${row.flags || ""}g`);
+  } catch (error) {
+    console.error(
+      `Skipping custom detector ${row.name}: invalid pattern (${error.message})`
+    );
+    return null;
+  }
+
+  const mask = MASKERS[row.mask_style];
+  if (!mask) {
+    console.error(
+      `Skipping custom detector ${row.name}: unknown mask style ${row.mask_style}`
+    );
+    return null;
+  }
+
+  if (!(row.validator in VALIDATORS)) {
+    console.error(
+      `Skipping custom detector ${row.name}: unknown validator ${row.validator}`
+    );
+    return null;
+  }
+  const validate = VALIDATORS[row.validator];
+  const contextKeywords =
+    row.context_keywords && row.context_keywords.length > 0
+      ? row.context_keywords
+      : null;
+
+  return {
+    name: row.name,
+    custom: true,
+    patterns: [pattern],
+    validators: validate ? [validate] : [],
+    contextKeywords,
+    // Detectors that declare keywords rely on them: a match without one
+    // nearby is flagged as low confidence
+    baseConfidence: contextKeywords ? 0.3 : 0.5,
+    mask,
+  };
+}
+
+/**
+ * Sync the detector registry with the active custom detectors in the
+ * database. Cached for CUSTOM_DETECTOR_REFRESH_MS between reloads.
+ * @param {boolean} force - Reload even if the cache is fresh
+ */
+async function refreshCustomDetectors(force = false) {
+  if (!force && Date.now() - lastRefresh < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  const rows = await getActiveCustomDetectors();
+  const activeNames = new Set(rows.map((row) => row.name));
+
+  for (const name of loaded.keys()) {
+    if (!activeNames.has(name)) {
+      unregisterDetector(name);
+      loaded.delete(name);
+      console.log(`Custom detector ${name} removed`);
+    }
+  }
+
+  for (const row of rows) {
+    const version = new Date(row.updated_at).getTime();
+    if (loaded.get(row.name) === version) {
+      continue;
+    }
+
+    const existing = getDetector(row.name);
+    if (existing && !existing.custom) {
+      console.error(
+        `Skipping custom detector ${row.name}: name clashes with a built-in detector`
+      );
+      continue;
+    }
+
+    const definition = buildCustomDetector(row);
+    if (!definition) {
+      if (loaded.has(row.name)) {
+        unregisterDetector(row.name);
+        loaded.delete(row.name);
+      }
+      continue;
+    }
+
+    registerDetector(definition);
+    loaded.set(row.name, version);
+    console.log(`Custom detector ${row.name} loaded`);
+  }
+
+  lastRefresh = Date.now();
+}
+
+module.exports = {
+  buildCustomDetector,
+  refreshCustomDetectors,
+};
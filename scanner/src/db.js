@@ -3,9 +3,11 @@ const {
   SecretsManagerClient,
   GetSecretValueCommand,
 } = require("@aws-sdk/client-secrets-manager");
+const { v4: uuidv4 } = require("uuid");
 
 let pool = null;
 let dbConfig = null;
+const jobCache = new Map();
 
 async function getDbCredentials() {
   if (dbConfig) {
@@ -35,7 +37,9 @@ async function getDbCredentials() {
       password: secret.password,
       ssl:
         process.env.DB_SSL === "true" ? { rejectUnauthorized: false } : false,
-      max: 10,
+      // Each message in flight holds a connection for its findings
+      // transaction, and needs another for other queries
+      max: Math.max(10, 2 * parseInt(process.env.WORKER_CONCURRENCY || "4")),
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 10000,
     };
@@ -78,83 +82,632 @@ async function getPool() {
   return pool;
 }
 
+async function getJob(jobId) {
+  if (jobCache.has(jobId)) {
+    return jobCache.get(jobId);
+  }
+
+  const pool = await getPool();
+  const query = `
+    SELECT job_id, bucket, prefix, detectors, tag_objects, kind
+    FROM jobs
+    WHERE job_id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [jobId]);
+    const job = result.rows[0] || null;
+    if (job) {
+      jobCache.set(jobId, job);
+    }
+    return job;
+  } catch (err) {
+    console.error("Error fetching job:", err);
+    throw err;
+  }
+}
+
+/**
+ * The continuous job of a bucket, which objects scanned as S3 events report
+ * them are attached to, created the first time it is needed
+ * @param {string} bucket - S3 bucket
+ * @returns {Promise<object>} jobs row
+ */
+async function getContinuousJob(bucket) {
+  const pool = await getPool();
+
+  try {
+    await pool.query(
+      `INSERT INTO jobs (job_id, bucket, kind)
+       VALUES ($1, $2, 'continuous')
+       ON CONFLICT (bucket) WHERE kind = 'continuous' DO NOTHING`,
+      [uuidv4(), bucket]
+    );
+    const result = await pool.query(
+      `SELECT job_id, bucket, prefix, detectors, tag_objects, kind
+       FROM jobs
+       WHERE bucket = $1 AND kind = 'continuous'`,
+      [bucket]
+    );
+    return result.rows[0];
+  } catch (err) {
+    console.error("Error fetching continuous job:", err);
+    throw err;
+  }
+}
+
+/**
+ * Add an object to a job, queued to be scanned
+ */
+async function addJobObject(jobId, bucket, key, etag) {
+  const pool = await getPool();
+  const query = `
+    INSERT INTO job_objects (job_id, bucket, key, etag, status, updated_at)
+    VALUES ($1, $2, $3, $4, 'queued', NOW())
+    ON CONFLICT (job_id, bucket, key, etag) DO NOTHING
+  `;
+
+  try {
+    await pool.query(query, [jobId, bucket, key, etag]);
+  } catch (err) {
+    console.error("Error adding job object:", err);
+    throw err;
+  }
+}
+
+/**
+ * Suppression rules that are active and not expired
+ * @returns {Promise<object[]>} suppression_rules rows
+ */
+async function getActiveSuppressionRules() {
+  const pool = await getPool();
+  const query = `
+    SELECT rule_id, reason, bucket, key_pattern, detector, value_pattern, fingerprint, expires_at
+    FROM suppression_rules
+    WHERE active = TRUE AND (expires_at IS NULL OR expires_at > NOW())
+  `;
+
+  try {
+    const result = await pool.query(query);
+    return result.rows;
+  } catch (err) {
+    console.error("Error fetching suppression rules:", err);
+    throw err;
+  }
+}
+
+/**
+ * Record how many matches each rule suppressed in an object, replacing the
+ * counts from any earlier attempt at the same object
+ * @param {string} jobId - Job ID
+ * @param {string} bucket - S3 bucket
+ * @param {string} key - S3 key
+ * @param {Array<{ruleId: string, detector: string, count: number}>} counts
+ * @param {object|null} client - Client of the transaction to write in, or
+ *   null for a transaction of its own
+ */
+async function replaceSuppressedCounts(
+  jobId,
+  bucket,
+  key,
+  counts,
+  client = null
+) {
+  if (!client) {
+    return withTransaction((tx) =>
+      replaceSuppressedCounts(jobId, bucket, key, counts, tx)
+    );
+  }
+
+  try {
+    await client.query(
+      "DELETE FROM suppressed_counts WHERE job_id = $1 AND bucket = $2 AND key = $3",
+      [jobId, bucket, key]
+    );
+    if (counts.length > 0) {
+      await client.query(
+        `INSERT INTO suppressed_counts (job_id, bucket, key, rule_id, detector, count, updated_at)
+         SELECT $1, $2, $3, rule_id, detector, count, NOW()
+         FROM unnest($4::uuid[], $5::text[], $6::integer[]) AS t(rule_id, detector, count)`,
+        [
+          jobId,
+          bucket,
+          key,
+          counts.map((row) => row.ruleId),
+          counts.map((row) => row.detector),
+          counts.map((row) => row.count),
+        ]
+      );
+    }
+  } catch (err) {
+    console.error("Error recording suppressed counts:", err);
+    throw err;
+  }
+}
+
+async function getActiveCustomDetectors() {
+  const pool = await getPool();
+  const query = `
+    SELECT detector_id, name, pattern, flags, context_keywords, mask_style, validator, updated_at
+    FROM custom_detectors
+    WHERE active = TRUE
+  `;
+
+  try {
+    const result = await pool.query(query);
+    return result.rows;
+  } catch (err) {
+    console.error("Error fetching custom detectors:", err);
+    throw err;
+  }
+}
+
 async function updateJobObjectStatus(
   jobId,
   bucket,
   key,
   etag,
   status,
-  error = null
+  error = null,
+  errorCode = null,
+  client = null
+) {
+  const db = client || (await getPool());
+  // Failures are also appended to the object's error history
+  const query = `
+    UPDATE job_objects
+    SET status = $1, last_error = $2, error_code = $3, updated_at = NOW(),
+        errors = CASE
+          WHEN $1 IN ('failed', 'retrying', 'dead_lettered')
+          THEN errors || jsonb_build_array(jsonb_build_object(
+            'attempt', attempts, 'error', $2::text,
+            'error_code', $3::text, 'at', NOW()))
+          ELSE errors
+        END
+    WHERE job_id = $4 AND bucket = $5 AND key = $6 AND etag = $7
+  `;
+
+  try {
+    await db.query(query, [status, error, errorCode, jobId, bucket, key, etag]);
+  } catch (err) {
+    console.error("Error updating job object status:", err);
+    throw err;
+  }
+}
+
+/**
+ * Mark an object as being processed by the given delivery of its message
+ * @param {number} attempt - The message's ApproximateReceiveCount
+ * @param {string} rulesetVersion - Version of the detectors it is scanned with
+ */
+async function startJobObjectAttempt(
+  jobId,
+  bucket,
+  key,
+  etag,
+  attempt,
+  rulesetVersion
 ) {
   const pool = await getPool();
   const query = `
     UPDATE job_objects
-    SET status = $1, last_error = $2, updated_at = NOW()
+    SET status = 'processing', attempts = $1, ruleset_version = $2,
+        updated_at = NOW()
     WHERE job_id = $3 AND bucket = $4 AND key = $5 AND etag = $6
   `;
 
   try {
-    await pool.query(query, [status, error, jobId, bucket, key, etag]);
+    await pool.query(query, [
+      attempt,
+      rulesetVersion,
+      jobId,
+      bucket,
+      key,
+      etag,
+    ]);
   } catch (err) {
-    console.error("Error updating job object status:", err);
+    console.error("Error updating job object attempt:", err);
     throw err;
   }
 }
 
-async function insertFindings(findings) {
+/**
+ * Record what an object's content was sniffed as, so it is visible why it
+ * was or was not scanned
+ */
+async function updateJobObjectContent(
+  jobId,
+  bucket,
+  key,
+  etag,
+  detectedType,
+  detectedEncoding
+) {
+  const pool = await getPool();
+  const query = `
+    UPDATE job_objects
+    SET detected_type = $1, detected_encoding = $2, updated_at = NOW()
+    WHERE job_id = $3 AND bucket = $4 AND key = $5 AND etag = $6
+  `;
+
+  try {
+    await pool.query(query, [
+      detectedType,
+      detectedEncoding,
+      jobId,
+      bucket,
+      key,
+      etag,
+    ]);
+  } catch (err) {
+    console.error("Error updating job object content type:", err);
+    throw err;
+  }
+}
+
+// Rows per INSERT statement, to bound the size of a single query
+const INSERT_BATCH_SIZE = 5000;
+
+const FINDING_COLUMNS = [
+  ["job_id", "uuid", (finding) => finding.job_id],
+  ["bucket", "text", (finding) => finding.bucket],
+  ["key", "text", (finding) => finding.key],
+  ["etag", "text", (finding) => finding.etag],
+  ["entry_path", "text", (finding) => finding.entry_path || ""],
+  ["detector", "text", (finding) => finding.detector],
+  ["severity", "text", (finding) => finding.severity || null],
+  ["masked_match", "text", (finding) => finding.masked_match],
+  ["context", "text", (finding) => finding.context || null],
+  ["byte_offset", "bigint", (finding) => finding.byte_offset],
+  ["line_number", "integer", (finding) => finding.line_number ?? null],
+  ["column_number", "integer", (finding) => finding.column_number ?? null],
+  [
+    "location",
+    "jsonb",
+    (finding) => (finding.location ? JSON.stringify(finding.location) : null),
+  ],
+  ["confidence", "numeric", (finding) => finding.confidence ?? null],
+  ["low_confidence", "boolean", (finding) => finding.low_confidence ?? false],
+  ["test_data", "boolean", (finding) => finding.test_data ?? false],
+  ["fingerprint", "text", (finding) => finding.fingerprint || null],
+  [
+    "components",
+    "jsonb",
+    (finding) =>
+      finding.components ? JSON.stringify(finding.components) : null,
+  ],
+  ["ruleset_version", "text", (finding) => finding.ruleset_version || null],
+];
+
+/**
+ * Stage findings of a scan in progress, with one statement per
+ * INSERT_BATCH_SIZE findings. They are stored by storeStagedFindings once
+ * the object is done. Errors are thrown, so that no finding is lost
+ * silently.
+ * @param {string} stageId - The scan attempt the findings belong to
+ * @param {object[]} findings - Findings to stage
+ */
+async function stageFindings(stageId, findings) {
   if (!findings || findings.length === 0) {
-    return 0;
+    return;
   }
 
   const pool = await getPool();
+  const names = FINDING_COLUMNS.map(([name]) => name).join(", ");
+  const arrays = FINDING_COLUMNS.map(
+    ([, type], index) => `$${index + 2}::${type}[]`
+  ).join(", ");
 
   const query = `
-    INSERT INTO findings (job_id, bucket, key, etag, detector, masked_match, context, byte_offset)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-    ON CONFLICT (bucket, key, etag, detector, byte_offset) DO NOTHING
+    INSERT INTO staged_findings (stage_id, ${names})
+    SELECT $1, * FROM unnest(${arrays})
   `;
 
-  let insertedCount = 0;
-
-  for (const finding of findings) {
-    try {
-      const result = await pool.query(query, [
-        finding.job_id,
-        finding.bucket,
-        finding.key,
-        finding.etag,
-        finding.detector,
-        finding.masked_match,
-        finding.context || null,
-        finding.byte_offset,
+  try {
+    for (let i = 0; i < findings.length; i += INSERT_BATCH_SIZE) {
+      const batch = findings.slice(i, i + INSERT_BATCH_SIZE);
+      await pool.query(query, [
+        stageId,
+        ...FINDING_COLUMNS.map(([, , value]) => batch.map(value)),
       ]);
+    }
+  } catch (err) {
+    console.error("Error staging findings:", err);
+    throw err;
+  }
+}
+
+// Columns a later scan of the same ETag replaces in a finding it finds again
+const RESCANNED_COLUMNS = FINDING_COLUMNS.map(([name]) => name).filter(
+  (name) =>
+    ![
+      "job_id",
+      "bucket",
+      "key",
+      "etag",
+      "entry_path",
+      "detector",
+      "byte_offset",
+    ].includes(name)
+);
+
+/**
+ * Move a scan's staged findings into findings, in place of those an earlier
+ * scan of the same ETag stored. Findings found again take the new scan's
+ * details and ruleset version, and are reopened if they were superseded;
+ * open findings of the scanned detectors that were not found again are
+ * superseded. Resolved findings stay resolved.
+ * @param {string} stageId - The scan attempt
+ * @param {object} scan - `{ bucket, key, etag, rulesetVersion, detectors,
+ *   scannedBytes }`: the names of the detectors whose earlier findings the
+ *   scan replaces, including composites, none when part of the object could
+ *   not be read; and the bytes scanned when only the start of the object was
+ * @param {object} client - Client of the transaction to write in
+ * @returns {Promise<{inserted: number, superseded: number}>}
+ */
+async function storeStagedFindings(stageId, scan, client) {
+  const names = FINDING_COLUMNS.map(([name]) => name).join(", ");
+  const updates = RESCANNED_COLUMNS.map(
+    (name) => `${name} = EXCLUDED.${name}`
+  ).join(", ");
+
+  try {
+    const stored = await client.query(
+      `INSERT INTO findings (${names})
+       SELECT DISTINCT ON (entry_path, detector, byte_offset) ${names}
+       FROM staged_findings
+       WHERE stage_id = $1
+       ORDER BY entry_path, detector, byte_offset
+       ON CONFLICT (bucket, key, etag, entry_path, detector, byte_offset) DO UPDATE
+       SET ${updates},
+           status = CASE WHEN findings.status = 'superseded' THEN 'open' ELSE findings.status END,
+           resolved_at = CASE WHEN findings.status = 'superseded' THEN NULL ELSE findings.resolved_at END,
+           resolution_note = CASE WHEN findings.status = 'superseded' THEN NULL ELSE findings.resolution_note END
+       RETURNING xmax = 0 AS inserted`,
+      [stageId]
+    );
+    const superseded = await client.query(
+      `UPDATE findings
+       SET status = 'superseded', resolved_at = NOW(),
+           resolution_note = 'Not found again by ruleset ' || $5::text
+       WHERE bucket = $2 AND key = $3 AND etag = $4 AND status = 'open'
+         AND detector = ANY($6::text[])
+         AND ($7::bigint IS NULL OR byte_offset < $7)
+         AND NOT EXISTS (
+           SELECT 1 FROM staged_findings s
+           WHERE s.stage_id = $1 AND s.entry_path = findings.entry_path
+             AND s.detector = findings.detector
+             AND s.byte_offset IS NOT DISTINCT FROM findings.byte_offset)`,
+      [
+        stageId,
+        scan.bucket,
+        scan.key,
+        scan.etag,
+        scan.rulesetVersion,
+        scan.detectors,
+        scan.scannedBytes ?? null,
+      ]
+    );
+    await client.query("DELETE FROM staged_findings WHERE stage_id = $1", [
+      stageId,
+    ]);
+    return {
+      inserted: stored.rows.filter((row) => row.inserted).length,
+      superseded: superseded.rowCount,
+    };
+  } catch (err) {
+    console.error("Error storing staged findings:", err);
+    throw err;
+  }
+}
+
+/**
+ * Drop the staged findings of a scan attempt that did not complete
+ * @param {string} stageId - The scan attempt
+ */
+async function discardStagedFindings(stageId) {
+  const pool = await getPool();
+
+  try {
+    await pool.query("DELETE FROM staged_findings WHERE stage_id = $1", [
+      stageId,
+    ]);
+  } catch (err) {
+    console.error("Error discarding staged findings:", err);
+    throw err;
+  }
+}
+
+/**
+ * Drop staged findings left behind by workers that stopped mid-scan
+ * @param {number} maxAgeHours - Age after which no scan can still be running
+ * @returns {Promise<number>} Number of findings dropped
+ */
+async function purgeStaleStagedFindings(maxAgeHours) {
+  const pool = await getPool();
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM staged_findings WHERE staged_at < NOW() - make_interval(hours => $1)",
+      [maxAgeHours]
+    );
+    return result.rowCount;
+  } catch (err) {
+    console.error("Error purging staged findings:", err);
+    throw err;
+  }
+}
+
+async function getRemediationAction(actionId) {
+  const pool = await getPool();
+  const query = `
+    SELECT action_id, job_id, bucket, key, etag, action, detectors, status,
+           quarantine_bucket, quarantine_key, source_version_id,
+           delete_marker_version_id, redacted_etag, previous_acl, policy_sid
+    FROM remediation_actions
+    WHERE action_id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [actionId]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error("Error fetching remediation action:", err);
+    throw err;
+  }
+}
+
+/**
+ * Record progress on a remediation action. Details that are not given keep
+ * their current value, so that a retried action can pick up where it
+ * stopped.
+ * @param {string} actionId - Action ID
+ * @param {string} status - New status
+ * @param {object} details - Any of quarantine_bucket, quarantine_key,
+ *   source_version_id, delete_marker_version_id, redacted_etag,
+ *   previous_acl, policy_sid, note and error_message
+ */
+async function updateRemediationAction(actionId, status, details = {}) {
+  const pool = await getPool();
+  const query = `
+    UPDATE remediation_actions
+    SET status = $2,
+        quarantine_bucket = COALESCE($3, quarantine_bucket),
+        quarantine_key = COALESCE($4, quarantine_key),
+        source_version_id = COALESCE($5, source_version_id),
+        previous_acl = COALESCE($6, previous_acl),
+        policy_sid = COALESCE($7, policy_sid),
+        note = COALESCE($8, note),
+        error_message = $9,
+        delete_marker_version_id = COALESCE($10, delete_marker_version_id),
+        redacted_etag = COALESCE($11, redacted_etag),
+        applied_at = CASE WHEN $2 = 'applied' THEN NOW() ELSE applied_at END,
+        reverted_at = CASE WHEN $2 = 'reverted' THEN NOW() ELSE reverted_at END,
+        updated_at = NOW()
+    WHERE action_id = $1
+  `;
+
+  try {
+    await pool.query(query, [
+      actionId,
+      status,
+      details.quarantine_bucket || null,
+      details.quarantine_key || null,
+      details.source_version_id || null,
+      details.previous_acl ? JSON.stringify(details.previous_acl) : null,
+      details.policy_sid || null,
+      details.note || null,
+      details.error_message || null,
+      details.delete_marker_version_id || null,
+      details.redacted_etag || null,
+    ]);
+  } catch (err) {
+    console.error("Error updating remediation action:", err);
+    throw err;
+  }
+}
+
+/**
+ * Run fn while holding a database lock on a bucket's policy, so that
+ * workers editing the same policy do not overwrite each other's changes
+ * @param {string} bucket - S3 bucket
+ * @param {Function} fn - Async function reading and writing the policy
+ */
+async function withBucketPolicyLock(bucket, fn) {
+  const pool = await getPool();
+  const client = await pool.connect();
+  const lockKey = `bucket-policy:${bucket}`;
 
-      if (result.rowCount > 0) {
-        insertedCount++;
-      }
-    } catch (err) {
-      console.error("Error inserting finding:", err.message);
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext($1))", [lockKey]);
+    try {
+      return await fn();
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext($1))", [lockKey]);
     }
+  } finally {
+    client.release();
   }
+}
+
+/**
+ * Mark the open findings of an object's earlier ETags superseded, once its
+ * current content has been scanned
+ * @param {string} etag - The ETag that was scanned
+ * @param {object|null} client - Client of the transaction to write in, or
+ *   null to use the pool
+ * @returns {Promise<number>} Number of findings superseded
+ */
+async function supersedeFindings(bucket, key, etag, client = null) {
+  const db = client || (await getPool());
+  const query = `
+    UPDATE findings
+    SET status = 'superseded', resolved_at = NOW(),
+        resolution_note = 'Superseded by ETag ' || $3::text
+    WHERE bucket = $1 AND key = $2 AND etag <> $3 AND status = 'open'
+  `;
 
-  return insertedCount;
+  try {
+    const result = await db.query(query, [bucket, key, etag]);
+    return result.rowCount;
+  } catch (err) {
+    console.error("Error superseding findings:", err);
+    throw err;
+  }
 }
 
-async function checkDedupe(bucket, key, etag) {
+/**
+ * Record a ruleset version, the first time a worker scans with it. A
+ * ruleset seen before, e.g. after a rollback, becomes the current one again.
+ * @param {string} rulesetVersion - Hash of the detector versions
+ * @param {string} scannerVersion - Version of the scanner worker
+ * @param {Object<string, string>} detectorVersions - Hash of each detector
+ *   definition it covers
+ */
+async function recordRuleset(rulesetVersion, scannerVersion, detectorVersions) {
   const pool = await getPool();
   const query = `
-    SELECT COUNT(*) as count
-    FROM findings
-    WHERE bucket = $1 AND key = $2 AND etag = $3
-    LIMIT 1
+    INSERT INTO rulesets (ruleset_version, scanner_version, detectors, detector_versions)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (ruleset_version) DO UPDATE SET last_seen_at = NOW()
   `;
 
   try {
-    const result = await pool.query(query, [bucket, key, etag]);
-    return parseInt(result.rows[0].count) > 0;
+    await pool.query(query, [
+      rulesetVersion,
+      scannerVersion,
+      Object.keys(detectorVersions).sort(),
+      JSON.stringify(detectorVersions),
+    ]);
   } catch (err) {
-    console.error("Error checking dedupe:", err);
-    return false;
+    console.error("Error recording ruleset:", err);
+    throw err;
+  }
+}
+
+/**
+ * Run fn in a transaction, committed when fn resolves and rolled back when
+ * it throws
+ * @param {Function} fn - Async function given the transaction's client
+ */
+async function withTransaction(fn) {
+  const pool = await getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      console.error("Error rolling back transaction:", rollbackError);
+    }
+    throw err;
+  } finally {
+    client.release();
   }
 }
 
@@ -169,8 +722,24 @@ async function closePool() {
 module.exports = {
   initPool,
   getPool,
+  getJob,
+  getContinuousJob,
+  addJobObject,
+  getActiveCustomDetectors,
+  getActiveSuppressionRules,
+  replaceSuppressedCounts,
   updateJobObjectStatus,
-  insertFindings,
-  checkDedupe,
+  startJobObjectAttempt,
+  updateJobObjectContent,
+  stageFindings,
+  storeStagedFindings,
+  discardStagedFindings,
+  purgeStaleStagedFindings,
+  supersedeFindings,
+  getRemediationAction,
+  updateRemediationAction,
+  withBucketPolicyLock,
+  withTransaction,
+  recordRuleset,
   closePool,
 };
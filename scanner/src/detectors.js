@@ -1,21 +1,66 @@
-const DETECTORS = {
-  SSN: {
+const { luhnCheck } = require("./checksums");
+const { SECRET_DETECTORS } = require("./secrets");
+const { INTERNATIONAL_DETECTORS } = require("./international");
+const { isKnownTestValue } = require("./test-values");
+const { fingerprintMatch } = require("./fingerprints");
+
+const DEFAULT_CONTEXT_WINDOW = 100;
+const MAX_CONTEXT_LENGTH = 500;
+
+// Confidence scoring. A finding's confidence (0-1) starts from how specific
+// its detector's pattern is, and is raised by passing validators and by a
+// context keyword close to the match (or naming the column it sits in), and
+// adjusted by the shape of the matched value. Findings below
+// LOW_CONFIDENCE_THRESHOLD are kept but flagged; below MIN_CONFIDENCE they
+// are discarded as noise.
+const DEFAULT_BASE_CONFIDENCE = 0.5;
+const VALIDATOR_WEIGHT = 0.2;
+const KEYWORD_WEIGHT = 0.4;
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(
+  process.env.LOW_CONFIDENCE_THRESHOLD || "0.5"
+);
+const MIN_CONFIDENCE = parseFloat(process.env.MIN_CONFIDENCE || "0.2");
+
+// What to do with known test values (see test-values.js): "drop" them, or
+// "record" them as findings flagged test_data
+const TEST_DATA_POLICY = process.env.TEST_DATA_POLICY || "drop";
+
+// Built-in detectors. Each definition declares everything the scan loop
+// needs: the patterns to run, validators every match must pass, the context
+// keywords that raise confidence when they appear within `contextWindow`
+// characters of the match (or null when the pattern stands on its own), the
+// base confidence of a bare match, an optional `shape` function adjusting
+// confidence for the matched value, how severe a leak would be (`severity`:
+// critical, high, medium or low), what kind of data it finds
+// (`classification`: credentials, financial or pii, used for object tags)
+// and the masker used for storage. A `fallback` detector only reports
+// matches no other detector found, and a `requiresKeyword` detector only
+// matches with one of its context keywords nearby.
+const BUILTIN_DETECTORS = [
+  {
     name: "SSN",
-    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    patterns: [/\b\d{3}-\d{2}-\d{4}\b/g],
+    validators: [ssnCheck],
     contextKeywords: [
       "ssn",
       "social security",
       "social-security",
       "ss#",
       "ss #",
+      "tax_id",
+      "tax id",
+      "taxpayer",
     ],
+    baseConfidence: 0.2,
+    severity: "high",
+    classification: "pii",
     mask: (match) => `***-**-${match.slice(-4)}`,
-    validate: null,
   },
 
-  CREDIT_CARD: {
+  {
     name: "CREDIT_CARD",
-    pattern: /\b(?:\d[ -]*?){13,19}\b/g,
+    patterns: [/\b(?:\d[ -]*?){13,19}\b/g],
+    validators: [luhnCheck, cardNetworkCheck],
     contextKeywords: [
       "card",
       "credit",
@@ -25,38 +70,65 @@ const DETECTORS = {
       "discover",
       "payment",
     ],
+    baseConfidence: 0.25,
+    // Cards are usually written as groups of four
+    shape: (match) =>
+      /^\d{4}([ -])\d{4}\1\d{4}\1\d{1,7}$/.test(match) ? 0.1 : 0,
+    severity: "high",
+    classification: "financial",
     mask: (match) => `****-****-****-${match.replace(/\D/g, "").slice(-4)}`,
-    validate: luhnCheck,
   },
 
-  AWS_ACCESS_KEY: {
+  {
     name: "AWS_ACCESS_KEY",
-    pattern: /\b(AKIA[0-9A-Z]{16})\b/g,
+    // AKIA: long-term keys; ASIA: temporary (STS) keys
+    patterns: [/\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g],
+    validators: [awsAccessKeyCheck],
     contextKeywords: null, // AWS keys don't need context
-    mask: (match) => `AKIA****************`,
-    validate: null,
+    baseConfidence: 0.7,
+    // A key ID alone cannot sign requests; found with its secret key it is
+    // reported as a critical AWS_CREDENTIAL_PAIR (see correlation.js)
+    severity: "high",
+    classification: "credentials",
+    mask: (match) => `${match.slice(0, 4)}****************`,
   },
 
-  AWS_SECRET_KEY: {
+  {
     name: "AWS_SECRET_KEY",
-    pattern: /\b([A-Za-z0-9/+=]{40})\b/g,
+    patterns: [/\b([A-Za-z0-9/+=]{40})\b/g],
+    validators: [],
     contextKeywords: ["secret", "aws_secret", "secret_access_key"],
+    baseConfidence: 0.25,
+    // Hex strings of this length are usually SHA-1 digests; secrets mix
+    // upper and lower case
+    shape: (match) => {
+      if (/^[0-9a-f]{40}$/i.test(match)) {
+        return -0.2;
+      }
+      return /[A-Z]/.test(match) && /[a-z]/.test(match) && /\d/.test(match)
+        ? 0.1
+        : 0;
+    },
+    severity: "high",
+    classification: "credentials",
     mask: (match) => `************************************${match.slice(-4)}`,
-    validate: null,
   },
 
-  EMAIL: {
+  {
     name: "EMAIL",
-    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g],
+    validators: [emailCheck],
     contextKeywords: null, // Email pattern is specific enough
+    baseConfidence: 0.65,
+    severity: "low",
+    classification: "pii",
     mask: (match) => {
       const [user, domain] = match.split("@");
       return `${user.slice(0, 2)}***@${domain}`;
     },
-    validate: null,
   },
 
-  US_PHONE: {
+  {
     name: "US_PHONE",
     patterns: [
       /\b\d{3}-\d{3}-\d{4}\b/g, // 555-555-5555
@@ -65,40 +137,181 @@ const DETECTORS = {
       /\b\d{10}\b/g, // 5555555555
       /\b1-\d{3}-\d{3}-\d{4}\b/g, // 1-555-555-5555
     ],
+    validators: [nanpCheck],
     contextKeywords: ["phone", "tel", "telephone", "mobile", "cell"],
+    baseConfidence: 0.1,
+    // A bare run of ten digits is more often an ID than a phone number: it
+    // scores below MIN_CONFIDENCE unless a phone keyword is nearby
+    shape: (match) => (/^\d{10}$/.test(match) ? -0.2 : 0),
+    severity: "low",
+    classification: "pii",
     mask: (match) => {
       const digits = match.replace(/\D/g, "");
       return `***-***-${digits.slice(-4)}`;
     },
-    validate: null,
   },
+];
+
+// Masking styles and validators that custom detectors can reference by name.
+// Keep in sync with MASK_STYLES / VALIDATOR_TYPES in api/shared.
+const MASKERS = {
+  full: (match) => "*".repeat(match.length),
+  last4: (match) =>
+    `${"*".repeat(Math.max(match.length - 4, 0))}${match.slice(-4)}`,
+  first4: (match) =>
+    `${match.slice(0, 4)}${"*".repeat(Math.max(match.length - 4, 0))}`,
+  partial: (match) =>
+    match.length <= 4
+      ? "*".repeat(match.length)
+      : `${match.slice(0, 2)}***${match.slice(-2)}`,
 };
 
-function luhnCheck(cardNumber) {
-  const digits = cardNumber.replace(/\D/g, "");
+const VALIDATORS = {
+  none: null,
+  luhn: luhnCheck,
+};
 
-  if (digits.length < 13 || digits.length > 19) {
-    return false;
+const registry = new Map();
+
+function registerDetector(definition) {
+  const { name, patterns, mask } = definition;
+
+  if (!name || typeof name !== "string") {
+    throw new Error("Detector definition is missing a name");
+  }
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    throw new Error(`Detector ${name} must declare at least one pattern`);
+  }
+  for (const pattern of patterns) {
+    if (!(pattern instanceof RegExp) || !pattern.global) {
+      throw new Error(`Detector ${name} patterns must be global regexes`);
+    }
+  }
+  if (typeof mask !== "function") {
+    throw new Error(`Detector ${name} must declare a mask function`);
   }
 
-  let sum = 0;
-  let isEven = false;
+  const detector = {
+    enabledByDefault: true,
+    contextKeywords: null,
+    contextWindow: DEFAULT_CONTEXT_WINDOW,
+    baseConfidence: DEFAULT_BASE_CONFIDENCE,
+    shape: null,
+    severity: "medium",
+    classification: "sensitive",
+    fallback: false,
+    requiresKeyword: false,
+    ...definition,
+    validators: definition.validators || [],
+  };
 
-  for (let i = digits.length - 1; i >= 0; i--) {
-    let digit = parseInt(digits[i]);
+  registry.set(name, detector);
+  return detector;
+}
 
-    if (isEven) {
-      digit *= 2;
-      if (digit > 9) {
-        digit -= 9;
-      }
+function unregisterDetector(name) {
+  return registry.delete(name);
+}
+
+function getDetector(name) {
+  return registry.get(name) || null;
+}
+
+function listDetectors() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Resolve the detectors enabled for a job
+ * @param {string[]|null} names - Detector names selected for the job, or
+ *   null/empty to run every detector that is enabled by default
+ * @returns {object[]} Registered detector definitions
+ */
+function getEnabledDetectors(names = null) {
+  if (!names || names.length === 0) {
+    return listDetectors().filter((detector) => detector.enabledByDefault);
+  }
+
+  const detectors = [];
+  for (const name of names) {
+    const detector = registry.get(name);
+    if (detector) {
+      detectors.push(detector);
+    } else {
+      console.warn(`Unknown detector "${name}" requested - ignoring`);
     }
+  }
+  return detectors;
+}
+
+// Structural validators for the built-in detectors. Check digits live in
+// checksums.js.
+
+function ssnCheck(value) {
+  // Area 000, 666 and 900-999, group 00 and serial 0000 are never issued
+  const [area, group, serial] = value.split("-");
+  return (
+    area !== "000" &&
+    area !== "666" &&
+    area[0] !== "9" &&
+    group !== "00" &&
+    serial !== "0000"
+  );
+}
+
+// Issuer prefixes and lengths of the major card networks
+const CARD_NETWORKS = [
+  { name: "visa", prefix: /^4/, lengths: [13, 16, 19] },
+  {
+    name: "mastercard",
+    prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/,
+    lengths: [16],
+  },
+  { name: "amex", prefix: /^3[47]/, lengths: [15] },
+  { name: "diners", prefix: /^3(?:0[0-5]|[689])/, lengths: [14, 15, 16, 19] },
+  { name: "jcb", prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  {
+    name: "discover",
+    prefix: /^(?:6011|64[4-9]|65)/,
+    lengths: [16, 17, 18, 19],
+  },
+  { name: "unionpay", prefix: /^62/, lengths: [16, 17, 18, 19] },
+  { name: "maestro", prefix: /^(?:5[06-9]|6\d)/, lengths: [13, 15, 16, 19] },
+];
+
+function cardNetworkCheck(cardNumber) {
+  const digits = cardNumber.replace(/\D/g, "");
+  return CARD_NETWORKS.some(
+    (network) =>
+      network.prefix.test(digits) && network.lengths.includes(digits.length)
+  );
+}
 
-    sum += digit;
-    isEven = !isEven;
+function awsAccessKeyCheck(value) {
+  // Key IDs are base32: no 0, 1, 8 or 9
+  return /^(?:AKIA|ASIA)[A-Z2-7]{16}$/.test(value);
+}
+
+function emailCheck(value) {
+  const [local, domain] = value.split("@");
+  if (local.length > 64 || /^\.|\.\.|\.$/.test(local)) {
+    return false;
   }
+  const labels = domain.split(".");
+  return (
+    labels.every((label) =>
+      /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label)
+    ) && /^[A-Za-z]{2,}$/.test(labels[labels.length - 1])
+  );
+}
 
-  return sum % 10 === 0;
+/**
+ * North American Numbering Plan: area code and exchange start with 2-9 and
+ * are not N11 service codes
+ */
+function nanpCheck(value) {
+  const digits = value.replace(/\D/g, "").replace(/^1(?=\d{10}$)/, "");
+  return /^[2-9](?!11)\d\d[2-9](?!11)\d{6}$/.test(digits);
 }
 
 function getContext(content, matchIndex, contextSize = 50) {
@@ -107,127 +320,226 @@ function getContext(content, matchIndex, contextSize = 50) {
   return content.slice(start, end).replace(/\n/g, " ").trim();
 }
 
-function hasContextKeywords(context, keywords) {
+/**
+ * How close the nearest context keyword is to a match: 1 when adjacent,
+ * falling to 0 at the edge of the context window or when there is none
+ */
+function keywordProximity(content, index, length, detector) {
+  const keywords = detector.contextKeywords;
   if (!keywords || keywords.length === 0) {
-    return true;
+    return 0;
   }
 
-  const lowerContext = context.toLowerCase();
-  return keywords.some((keyword) =>
-    lowerContext.includes(keyword.toLowerCase())
-  );
+  const window = detector.contextWindow;
+  const start = Math.max(0, index - window);
+  const text = content
+    .slice(start, Math.min(content.length, index + length + window))
+    .toLowerCase();
+  const matchStart = index - start;
+  const matchEnd = matchStart + length;
+
+  let nearest = Infinity;
+  for (const keyword of keywords) {
+    const lowerKeyword = keyword.toLowerCase();
+    for (
+      let at = text.indexOf(lowerKeyword);
+      at !== -1;
+      at = text.indexOf(lowerKeyword, at + 1)
+    ) {
+      const keywordEnd = at + lowerKeyword.length;
+      let distance = 0;
+      if (keywordEnd <= matchStart) {
+        distance = matchStart - keywordEnd;
+      } else if (at >= matchEnd) {
+        distance = at - matchEnd;
+      }
+      nearest = Math.min(nearest, distance);
+    }
+  }
+
+  return nearest === Infinity ? 0 : 1 - nearest / (window + 1);
 }
 
-function scanContent(content, bucket, key, etag, jobId) {
-  const findings = [];
+function shapeAdjustment(value) {
+  // Runs of a single repeated digit are placeholders, not real values
+  const digits = value.replace(/\D/g, "");
+  return digits.length >= 6 && /^(\d)\1+$/.test(digits) ? -0.3 : 0;
+}
 
-  let matches = content.matchAll(DETECTORS.SSN.pattern);
-  for (const match of matches) {
-    const context = getContext(content, match.index, 100);
-    if (hasContextKeywords(context, DETECTORS.SSN.contextKeywords)) {
-      findings.push({
-        job_id: jobId,
-        bucket,
-        key,
-        etag,
-        detector: DETECTORS.SSN.name,
-        masked_match: DETECTORS.SSN.mask(match[0]),
-        context: context.substring(0, 500), // Limit context size
-        byte_offset: match.index,
-      });
-    }
+function computeConfidence(score) {
+  const total = score.base + score.validator + score.keyword + score.shape;
+  return Math.round(Math.min(1, Math.max(0, total)) * 100) / 100;
+}
+
+/**
+ * Score a match that passed its detector's validators
+ * @returns {{base: number, validator: number, keyword: number, shape: number}}
+ */
+function scoreMatch(content, index, value, detector) {
+  return {
+    base: detector.baseConfidence,
+    validator: detector.validators.length > 0 ? VALIDATOR_WEIGHT : 0,
+    keyword:
+      KEYWORD_WEIGHT * keywordProximity(content, index, value.length, detector),
+    shape:
+      shapeAdjustment(value) + (detector.shape ? detector.shape(value) : 0),
+  };
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9#]/g, "");
+}
+
+/**
+ * Raise a finding's confidence when the column or field it was found in is
+ * named by one of its detector's context keywords (e.g. an SSN under a
+ * `tax_id` header), however far away the header is
+ * @param {object} finding - Finding from scanContent
+ * @param {string|null} fieldName - Column or field name
+ */
+function applyFieldContext(finding, fieldName) {
+  const detector = registry.get(finding.detector);
+  if (!fieldName || !detector || !detector.contextKeywords || !finding.score) {
+    return;
   }
 
-  matches = content.matchAll(DETECTORS.CREDIT_CARD.pattern);
-  for (const match of matches) {
-    if (
-      DETECTORS.CREDIT_CARD.validate &&
-      DETECTORS.CREDIT_CARD.validate(match[0])
-    ) {
-      const context = getContext(content, match.index, 100);
-      if (hasContextKeywords(context, DETECTORS.CREDIT_CARD.contextKeywords)) {
-        findings.push({
-          job_id: jobId,
-          bucket,
-          key,
-          etag,
-          detector: DETECTORS.CREDIT_CARD.name,
-          masked_match: DETECTORS.CREDIT_CARD.mask(match[0]),
-          context: context.substring(0, 500),
-          byte_offset: match.index,
-        });
+  const field = normalizeName(fieldName);
+  const named = detector.contextKeywords.some((keyword) => {
+    const normalized = normalizeName(keyword);
+    return normalized.length > 0 && field.includes(normalized);
+  });
+
+  if (named && finding.score.keyword < KEYWORD_WEIGHT) {
+    finding.score.keyword = KEYWORD_WEIGHT;
+    finding.confidence = computeConfidence(finding.score);
+    finding.low_confidence = finding.confidence < LOW_CONFIDENCE_THRESHOLD;
+  }
+}
+
+function passesValidators(detector, value) {
+  return detector.validators.every((validate) => validate(value));
+}
+
+/**
+ * Run a single detector over content
+ * @param {string} content - Text to scan
+ * @param {object} detector - Registered detector definition
+ * @returns {Array<{value: string, index: number, context: string,
+ *   confidence: number, score: object, testData: boolean}>}
+ */
+function findMatches(content, detector) {
+  const matches = [];
+  const seenOffsets = new Set();
+
+  for (const pattern of detector.patterns) {
+    for (const match of content.matchAll(pattern)) {
+      // Several patterns of one detector can hit the same text
+      if (seenOffsets.has(match.index)) {
+        continue;
+      }
+
+      if (!passesValidators(detector, match[0])) {
+        continue;
+      }
+
+      const score = scoreMatch(content, match.index, match[0], detector);
+      const confidence = computeConfidence(score);
+      if (
+        confidence < MIN_CONFIDENCE ||
+        (detector.requiresKeyword && score.keyword === 0)
+      ) {
+        continue;
       }
+
+      const context = getContext(content, match.index, detector.contextWindow);
+      seenOffsets.add(match.index);
+      matches.push({
+        value: match[0],
+        index: match.index,
+        context,
+        confidence,
+        score,
+        testData: isKnownTestValue(detector.name, match[0]),
+      });
     }
   }
 
-  matches = content.matchAll(DETECTORS.AWS_ACCESS_KEY.pattern);
-  for (const match of matches) {
-    findings.push({
-      job_id: jobId,
-      bucket,
-      key,
-      etag,
-      detector: DETECTORS.AWS_ACCESS_KEY.name,
-      masked_match: DETECTORS.AWS_ACCESS_KEY.mask(match[0]),
-      context: getContext(content, match.index, 100).substring(0, 500),
-      byte_offset: match.index,
-    });
-  }
+  return matches;
+}
+
+function scanContent(
+  content,
+  bucket,
+  key,
+  etag,
+  jobId,
+  detectors = getEnabledDetectors()
+) {
+  const findings = [];
+  const claimed = []; // [start, end) of matches from specific detectors
+
+  // Specific detectors run first so fallback detectors can skip their matches
+  const ordered = [
+    ...detectors.filter((detector) => !detector.fallback),
+    ...detectors.filter((detector) => detector.fallback),
+  ];
+
+  for (const detector of ordered) {
+    for (const match of findMatches(content, detector)) {
+      const end = match.index + match.value.length;
+      if (detector.fallback) {
+        if (claimed.some(([s, e]) => match.index < e && end > s)) {
+          continue;
+        }
+      } else {
+        claimed.push([match.index, end]);
+      }
+
+      // Test values still claim their span, so that e.g. the AWS example
+      // secret key is not reported as a high-entropy string instead
+      if (match.testData && TEST_DATA_POLICY !== "record") {
+        continue;
+      }
 
-  matches = content.matchAll(DETECTORS.AWS_SECRET_KEY.pattern);
-  for (const match of matches) {
-    const context = getContext(content, match.index, 100);
-    if (hasContextKeywords(context, DETECTORS.AWS_SECRET_KEY.contextKeywords)) {
       findings.push({
         job_id: jobId,
         bucket,
         key,
         etag,
-        detector: DETECTORS.AWS_SECRET_KEY.name,
-        masked_match: DETECTORS.AWS_SECRET_KEY.mask(match[0]),
-        context: context.substring(0, 500),
-        byte_offset: match.index,
+        detector: detector.name,
+        severity: detector.severity,
+        masked_match: detector.mask(match.value),
+        context: match.context.substring(0, MAX_CONTEXT_LENGTH),
+        char_offset: match.index,
+        confidence: match.confidence,
+        low_confidence: match.confidence < LOW_CONFIDENCE_THRESHOLD,
+        test_data: match.testData,
+        fingerprint: fingerprintMatch(detector.name, match.value),
+        score: match.score, // confidence breakdown, not stored
       });
     }
   }
 
-  matches = content.matchAll(DETECTORS.EMAIL.pattern);
-  for (const match of matches) {
-    findings.push({
-      job_id: jobId,
-      bucket,
-      key,
-      etag,
-      detector: DETECTORS.EMAIL.name,
-      masked_match: DETECTORS.EMAIL.mask(match[0]),
-      context: getContext(content, match.index, 100).substring(0, 500),
-      byte_offset: match.index,
-    });
-  }
-
-  for (const pattern of DETECTORS.US_PHONE.patterns) {
-    matches = content.matchAll(pattern);
-    for (const match of matches) {
-      const context = getContext(content, match.index, 100);
-      if (hasContextKeywords(context, DETECTORS.US_PHONE.contextKeywords)) {
-        findings.push({
-          job_id: jobId,
-          bucket,
-          key,
-          etag,
-          detector: DETECTORS.US_PHONE.name,
-          masked_match: DETECTORS.US_PHONE.mask(match[0]),
-          context: context.substring(0, 500),
-          byte_offset: match.index,
-        });
-      }
-    }
-  }
-
   return findings;
 }
 
+[...BUILTIN_DETECTORS, ...SECRET_DETECTORS, ...INTERNATIONAL_DETECTORS].forEach(
+  registerDetector
+);
+
 module.exports = {
   scanContent,
+  findMatches,
+  applyFieldContext,
+  registerDetector,
+  unregisterDetector,
+  getDetector,
+  listDetectors,
+  getEnabledDetectors,
   luhnCheck,
+  MASKERS,
+  VALIDATORS,
+  LOW_CONFIDENCE_THRESHOLD,
+  MIN_CONFIDENCE,
+  TEST_DATA_POLICY,
 };
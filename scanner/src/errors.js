@@ -0,0 +1,46 @@
+/**
+ * Base class for errors that describe why a single object could not be
+ * scanned or remediated. `code` is stable and recorded in job_objects.error_code. These
+ * errors depend on the object's contents, so retrying will not help.
+ */
+class ScanError extends Error {
+  constructor(code, message, cause) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = false;
+  }
+}
+
+class ArchiveLimitError extends ScanError {
+  constructor(message) {
+    super("ARCHIVE_LIMIT_EXCEEDED", message);
+  }
+}
+
+class FileTooLargeError extends ScanError {
+  constructor(message) {
+    super("FILE_TOO_LARGE", message);
+  }
+}
+
+class ExtractionError extends ScanError {
+  constructor(format, message, cause) {
+    super("EXTRACTION_FAILED", message, cause);
+    this.format = format;
+  }
+}
+
+class RemediationError extends ScanError {
+  constructor(message, cause) {
+    super("REMEDIATION_FAILED", message, cause);
+  }
+}
+
+module.exports = {
+  ScanError,
+  ArchiveLimitError,
+  FileTooLargeError,
+  ExtractionError,
+  RemediationError,
+};
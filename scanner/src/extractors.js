@@ -0,0 +1,405 @@
+const yauzl = require("yauzl");
+const { ExtractionError } = require("./errors");
+
+// Documents are parsed in memory, so cap both the file and the XML inside it
+const EXTRACT_MAX_BYTES = parseInt(
+  process.env.EXTRACT_MAX_BYTES || String(256 * 1024 * 1024)
+);
+const EXTRACT_MAX_XML_BYTES = parseInt(
+  process.env.EXTRACT_MAX_XML_BYTES || String(512 * 1024 * 1024)
+);
+
+const XML_ENTITIES = {
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  quot: '"',
+  apos: "'",
+};
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1] === "x" || name[1] === "X"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Accumulates extracted text together with the location each run of text
+ * came from
+ */
+function createDocumentBuilder() {
+  let text = "";
+  const segments = []; // { start, location }, ordered by start
+
+  function append(chunk, location) {
+    if (!chunk) {
+      return;
+    }
+    const last = segments[segments.length - 1];
+    if (!last || JSON.stringify(last.location) !== JSON.stringify(location)) {
+      segments.push({ start: text.length, location });
+    }
+    text += chunk;
+  }
+
+  /**
+   * Location of the text at a character offset
+   * @param {number} offset - Character offset in the extracted text
+   */
+  function locate(offset) {
+    let low = 0;
+    let high = segments.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (segments[mid].start <= offset) {
+        found = segments[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found ? found.location : null;
+  }
+
+  return {
+    append,
+    build: () => ({ text, locate }),
+  };
+}
+
+async function readStreamToBuffer(stream, maxBytes, format) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw new ExtractionError(
+        format,
+        `Document exceeds ${maxBytes} bytes and cannot be extracted`
+      );
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read the XML parts of an OOXML (docx/xlsx/pptx) package
+ * @param {Buffer} buffer - Package contents
+ * @param {Function} wanted - (entryName) => boolean
+ * @param {string} format - Document format, for errors
+ * @returns {Promise<Map<string, string>>} entry name -> XML
+ */
+async function readPackageParts(buffer, wanted, format) {
+  let zipFile;
+  try {
+    zipFile = await yauzl.fromBufferPromise(buffer, { lazyEntries: true });
+  } catch (error) {
+    throw new ExtractionError(format, `Not a valid ${format} package`, error);
+  }
+
+  const parts = new Map();
+  let totalBytes = 0;
+
+  for await (const entry of zipFile.eachEntry()) {
+    if (!wanted(entry.fileName)) {
+      continue;
+    }
+
+    totalBytes += entry.uncompressedSize;
+    if (totalBytes > EXTRACT_MAX_XML_BYTES) {
+      throw new ExtractionError(
+        format,
+        `Document XML exceeds ${EXTRACT_MAX_XML_BYTES} bytes`
+      );
+    }
+
+    const entryStream = await zipFile.openReadStreamPromise(entry);
+    const xml = await readStreamToBuffer(
+      entryStream,
+      EXTRACT_MAX_XML_BYTES,
+      format
+    );
+    parts.set(entry.fileName, xml.toString("utf-8"));
+  }
+
+  return parts;
+}
+
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+async function extractPdf(buffer) {
+  // Loaded lazily: pdf.js is large and only needed for PDFs
+  const pdfjs = require("pdfjs-dist/legacy/build/pdf.js");
+  const builder = createDocumentBuilder();
+
+  let pdf;
+  try {
+    pdf = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    if (error.name === "PasswordException") {
+      throw new ExtractionError("pdf", "PDF is password protected", error);
+    }
+    throw new ExtractionError("pdf", `Invalid PDF: ${error.message}`, error);
+  }
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const pageText = content.items
+        .map((item) => `${item.str}${item.hasEOL ? "\n" : ""}`)
+        .join("");
+
+      builder.append(`${pageText}\n\f`, { page: pageNumber });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return builder.build();
+}
+
+async function extractDocx(buffer) {
+  const parts = await readPackageParts(
+    buffer,
+    (name) =>
+      /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/.test(
+        name
+      ),
+    "docx"
+  );
+
+  const documentXml = parts.get("word/document.xml");
+  if (!documentXml) {
+    throw new ExtractionError("docx", "Missing word/document.xml");
+  }
+
+  const builder = createDocumentBuilder();
+
+  // Pages are a rendering concept; Word records where it last broke pages
+  // and explicit page breaks, which gives a close approximation
+  let page = 1;
+  const tokens =
+    /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\s+w:type="page"\s*\/>|<w:br\/>|<\/w:p>|<w:lastRenderedPageBreak\/>/g;
+  for (const token of documentXml.matchAll(tokens)) {
+    const tag = token[0];
+    if (token[1] !== undefined) {
+      builder.append(decodeXml(token[1]), { page });
+    } else if (tag === "<w:tab/>") {
+      builder.append("\t", { page });
+    } else if (tag === "</w:p>" || tag === "<w:br/>") {
+      builder.append("\n", { page });
+    } else {
+      page++;
+    }
+  }
+
+  const otherParts = Array.from(parts.keys())
+    .filter((name) => name !== "word/document.xml")
+    .sort(naturalCompare);
+  for (const name of otherParts) {
+    const part = name.slice("word/".length, -".xml".length);
+    builder.append("\n", { part });
+    for (const token of parts
+      .get(name)
+      .matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<\/w:p>/g)) {
+      builder.append(token[1] !== undefined ? decodeXml(token[1]) : "\n", {
+        part,
+      });
+    }
+  }
+
+  return builder.build();
+}
+
+async function extractPptx(buffer) {
+  const parts = await readPackageParts(
+    buffer,
+    (name) => /^ppt\/(slides|notesSlides)\/\w+\d+\.xml$/.test(name),
+    "pptx"
+  );
+
+  const builder = createDocumentBuilder();
+  const slides = Array.from(parts.keys()).sort(naturalCompare);
+
+  for (const name of slides) {
+    const slide = parseInt(name.match(/(\d+)\.xml$/)[1]);
+    const location = name.includes("notesSlides")
+      ? { slide, notes: true }
+      : { slide };
+
+    for (const token of parts
+      .get(name)
+      .matchAll(/<a:t>([^<]*)<\/a:t>|<\/a:p>/g)) {
+      builder.append(
+        token[1] !== undefined ? decodeXml(token[1]) : "\n",
+        location
+      );
+    }
+    builder.append("\n\f", location);
+  }
+
+  return builder.build();
+}
+
+function readSharedStrings(xml) {
+  if (!xml) {
+    return [];
+  }
+  return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>/g), (item) =>
+    Array.from(item[1].matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g), (t) =>
+      decodeXml(t[1])
+    ).join("")
+  );
+}
+
+/**
+ * Map sheet names to their worksheet part, in workbook order
+ */
+function readSheetList(parts) {
+  const workbook = parts.get("xl/workbook.xml") || "";
+  const rels = parts.get("xl/_rels/workbook.xml.rels") || "";
+
+  const targets = new Map();
+  for (const rel of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+    const id = rel[0].match(/\bId="([^"]+)"/)?.[1];
+    const target = rel[0].match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) {
+      targets.set(
+        id,
+        target.startsWith("/") ? target.slice(1) : `xl/${target}`
+      );
+    }
+  }
+
+  const sheets = [];
+  for (const sheet of workbook.matchAll(/<sheet\s[^>]*>/g)) {
+    const name = sheet[0].match(/\bname="([^"]*)"/)?.[1];
+    const id = sheet[0].match(/\br:id="([^"]+)"/)?.[1];
+    if (name !== undefined && targets.has(id)) {
+      sheets.push({ name: decodeXml(name), part: targets.get(id) });
+    }
+  }
+  return sheets;
+}
+
+async function extractXlsx(buffer) {
+  const parts = await readPackageParts(
+    buffer,
+    (name) =>
+      name === "xl/workbook.xml" ||
+      name === "xl/_rels/workbook.xml.rels" ||
+      name === "xl/sharedStrings.xml" ||
+      /^xl\/worksheets\/[^/]+\.xml$/.test(name),
+    "xlsx"
+  );
+
+  if (!parts.has("xl/workbook.xml")) {
+    throw new ExtractionError("xlsx", "Missing xl/workbook.xml");
+  }
+
+  const sharedStrings = readSharedStrings(parts.get("xl/sharedStrings.xml"));
+  const builder = createDocumentBuilder();
+
+  // Each row becomes a line of tab-separated cells, so detectors still see
+  // neighbouring cells as context
+  for (const { name: sheet, part } of readSheetList(parts)) {
+    const xml = parts.get(part) || "";
+
+    for (const row of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      for (const cell of row[1].matchAll(
+        /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+      )) {
+        const attributes = cell[1];
+        const body = cell[2] || "";
+        const ref = attributes.match(/\br="([A-Z]+\d+)"/)?.[1] || null;
+        const type = attributes.match(/\bt="(\w+)"/)?.[1];
+
+        let value;
+        if (type === "s") {
+          const index = parseInt(body.match(/<v>(\d+)<\/v>/)?.[1]);
+          value = sharedStrings[index];
+        } else if (type === "inlineStr") {
+          value = Array.from(
+            body.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g),
+            (t) => decodeXml(t[1])
+          ).join("");
+        } else {
+          const raw = body.match(/<v>([^<]*)<\/v>/)?.[1];
+          value = raw !== undefined ? decodeXml(raw) : undefined;
+        }
+
+        if (value !== undefined && value !== "") {
+          builder.append(value, { sheet, cell: ref });
+          builder.append("\t", { sheet, cell: ref });
+        }
+      }
+      builder.append("\n", { sheet });
+    }
+    builder.append("\f", { sheet });
+  }
+
+  return builder.build();
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  xlsx: extractXlsx,
+  pptx: extractPptx,
+};
+
+/**
+ * Extract the text of a document
+ * @param {string} format - One of pdf, docx, xlsx, pptx
+ * @param {Readable} stream - Document contents
+ * @returns {Promise<{text: string, locate: Function}>} Extracted text and a
+ *   function mapping a character offset in it to a page, slide, sheet or
+ *   cell location
+ */
+async function extractDocument(format, stream) {
+  const extractor = EXTRACTORS[format];
+  if (!extractor) {
+    throw new ExtractionError(format, `No extractor for ${format}`);
+  }
+
+  const buffer = await readStreamToBuffer(stream, EXTRACT_MAX_BYTES, format);
+
+  try {
+    return await extractor(buffer);
+  } catch (error) {
+    if (error instanceof ExtractionError) {
+      throw error;
+    }
+    throw new ExtractionError(
+      format,
+      `Failed to extract ${format}: ${error.message}`,
+      error
+    );
+  }
+}
+
+module.exports = {
+  extractDocument,
+  DOCUMENT_FORMATS: Object.keys(EXTRACTORS),
+};
@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+
+// Secret key for finding fingerprints. Fingerprints identify a value across
+// objects and scans without storing it; keying them stops anyone with read
+// access to findings from confirming a guessed SSN or card number.
+const FINGERPRINT_KEY = process.env.FINGERPRINT_KEY || null;
+
+let warned = false;
+
+/**
+ * Fingerprint a matched value. Whitespace and hyphens are ignored so that
+ * "4111 1111 ..." and "4111-1111-..." share a fingerprint.
+ * @param {string} detectorName - Detector that matched
+ * @param {string} value - Matched text (unmasked)
+ * @returns {string|null} Hex HMAC-SHA256, or null when FINGERPRINT_KEY is
+ *   not set
+ */
+function fingerprintMatch(detectorName, value) {
+  if (!FINGERPRINT_KEY) {
+    if (!warned) {
+      console.warn("FINGERPRINT_KEY is not set - findings get no fingerprint");
+      warned = true;
+    }
+    return null;
+  }
+
+  return crypto
+    .createHmac("sha256", FINGERPRINT_KEY)
+    .update(`${detectorName}:${value.replace(/[\s-]/g, "")}`)
+    .digest("hex");
+}
+
+module.exports = {
+  fingerprintMatch,
+};
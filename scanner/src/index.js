@@ -1,14 +1,42 @@
 const {
   SQSClient,
   ReceiveMessageCommand,
-  DeleteMessageCommand,
+  DeleteMessageBatchCommand,
+  ChangeMessageVisibilityCommand,
+  SendMessageCommand,
+  SendMessageBatchCommand,
 } = require("@aws-sdk/client-sqs");
-const { downloadS3Object, isSupportedFileType } = require("./s3-handler");
-const { scanContent } = require("./detectors");
+const { v4: uuidv4 } = require("uuid");
+const { openS3Object } = require("./s3-handler");
+const { sniffStream } = require("./content-sniffer");
+const { getEnabledDetectors } = require("./detectors");
+const { scanObject } = require("./scan-pipeline");
+const { compositeDetectorNames } = require("./correlation");
+const { ScanError, ExtractionError } = require("./errors");
+const { applyRemediation, revertRemediation } = require("./remediation");
+const { writeScanTags } = require("./object-tags");
+const { refreshCustomDetectors } = require("./custom-detectors");
+const { currentRulesetVersion } = require("./ruleset");
+const { isS3Event, parseS3Event } = require("./s3-events");
+const { refreshSuppressionRules, SuppressionTally } = require("./suppressions");
+const { WorkerPool } = require("./worker-pool");
 const {
   initPool,
+  getJob,
+  getContinuousJob,
+  addJobObject,
   updateJobObjectStatus,
-  insertFindings,
+  startJobObjectAttempt,
+  updateJobObjectContent,
+  stageFindings,
+  storeStagedFindings,
+  discardStagedFindings,
+  purgeStaleStagedFindings,
+  supersedeFindings,
+  replaceSuppressedCounts,
+  withTransaction,
+  getRemediationAction,
+  updateRemediationAction,
   closePool,
 } = require("./db");
 
@@ -16,76 +44,377 @@ const sqsClient = new SQSClient({
   region: process.env.AWS_REGION || "us-east-1",
 });
 const QUEUE_URL = process.env.SQS_QUEUE_URL;
-const MAX_MESSAGES = 1; // Process one message at a time
+const MAX_MESSAGES = 10; // SQS maximum per receive
 const WAIT_TIME_SECONDS = 20; // Long polling
 const VISIBILITY_TIMEOUT = 300; // 5 minutes
+// Visibility is extended while a message is processed, so a long scan is
+// not delivered to another worker
+const HEARTBEAT_INTERVAL_MS = (VISIBILITY_TIMEOUT / 3) * 1000;
+const DLQ_URL = process.env.DLQ_URL;
+const MAX_ATTEMPTS = parseInt(process.env.MAX_ATTEMPTS || "3");
+const RETRY_BASE_DELAY_SECONDS = parseInt(
+  process.env.RETRY_BASE_DELAY_SECONDS || "30"
+);
+const RETRY_MAX_DELAY_SECONDS = parseInt(
+  process.env.RETRY_MAX_DELAY_SECONDS || "900"
+);
+const DELETE_BATCH_SIZE = 10; // SQS maximum per batch
+const DELETE_FLUSH_MS = 1000;
+// Staged findings older than this belong to scans that can no longer finish
+const STAGED_FINDINGS_MAX_AGE_HOURS = 24;
+
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || "4");
+// No new message is started while the process uses more than this share of
+// its memory limit
+const MEMORY_HIGH_WATER = 0.75;
+const memoryLimitMb = parseInt(process.env.WORKER_MEMORY_LIMIT_MB || "0");
+
+const workers = new WorkerPool({
+  concurrency: WORKER_CONCURRENCY,
+  memoryHighWaterBytes:
+    memoryLimitMb > 0 ? memoryLimitMb * 1024 * 1024 * MEMORY_HIGH_WATER : null,
+});
 
 let isShuttingDown = false;
+let receiveAbort = null;
+let pendingDeletes = [];
+let deleteTimer = null;
+let deleting = Promise.resolve();
 
 /**
- * Process a single SQS message
+ * Process a single SQS message. Handlers delete the message once it is done
+ * with and throw when it should be retried.
  * @param {object} message - SQS message
  */
 async function processMessage(message) {
-  const startTime = Date.now();
+  const attempt = parseInt(message.Attributes?.ApproximateReceiveCount || "1");
   let messageBody;
 
   try {
     messageBody = JSON.parse(message.Body);
-    console.log(`Processing message: ${JSON.stringify(messageBody)}`);
+    console.log(
+      `Processing message (attempt ${attempt}): ${JSON.stringify(messageBody)}`
+    );
   } catch (error) {
     console.error("Failed to parse message body:", error);
-    await deleteMessage(message.ReceiptHandle);
+    await deadLetter(message, `Malformed message: ${error.message}`);
+    return;
+  }
+
+  if (!messageBody || typeof messageBody !== "object") {
+    console.error("Message body is not an object:", messageBody);
+    await deadLetter(message, "Malformed message: body is not an object");
     return;
   }
 
+  const heartbeat = startHeartbeat(message);
+  try {
+    if (messageBody.action_id) {
+      await processRemediation(message, messageBody, attempt);
+    } else if (isS3Event(messageBody)) {
+      await processS3Event(message, messageBody, attempt);
+    } else {
+      await processScan(message, messageBody, attempt);
+    }
+  } catch (error) {
+    if (attempt >= MAX_ATTEMPTS) {
+      await deadLetter(
+        message,
+        `Gave up after ${attempt} attempts: ${error.message || "Unknown error"}`
+      );
+    } else {
+      await retryLater(message, attempt);
+    }
+  } finally {
+    await heartbeat.stop();
+  }
+}
+
+/**
+ * Scan one object of a job
+ * @param {object} message - SQS message
+ * @param {object} messageBody - `{ bucket, key, job_id, etag }`
+ * @param {number} attempt - Delivery of the message, from 1
+ */
+async function processScan(message, messageBody, attempt) {
+  const startTime = Date.now();
   const { bucket, key, job_id, etag } = messageBody;
 
   if (!bucket || !key || !job_id) {
     console.error("Missing required fields in message:", messageBody);
-    await deleteMessage(message.ReceiptHandle);
+    await deadLetter(
+      message,
+      "Malformed message: missing bucket, key or job_id"
+    );
     return;
   }
 
   try {
-    await updateJobObjectStatus(job_id, bucket, key, etag, "processing");
+    await refreshCustomDetectors();
+    const rulesetVersion = await currentRulesetVersion();
+    await startJobObjectAttempt(
+      job_id,
+      bucket,
+      key,
+      etag,
+      attempt,
+      rulesetVersion
+    );
+
+    const job = await getJob(job_id);
 
-    if (!isSupportedFileType(key)) {
-      console.log(`Skipping unsupported file type: ${key}`);
+    console.log(`Opening s3://${bucket}/${key}`);
+    const object = await openS3Object(bucket, key);
+
+    const fileEtag = etag || object.etag;
+
+    // An event for an object that has since been overwritten: the newer
+    // version is scanned on its own event
+    if (job?.kind === "continuous" && object.etag && object.etag !== etag) {
+      object.body?.destroy();
+      console.log(
+        `Skipping s3://${bucket}/${key}: overwritten since the event`
+      );
       await updateJobObjectStatus(
         job_id,
         bucket,
         key,
         etag,
+        "superseded",
+        `Overwritten since the event (now ETag ${object.etag})`
+      );
+      await deleteMessage(message.ReceiptHandle);
+      return;
+    }
+
+    if (object.skipped) {
+      console.log(`Skipping s3://${bucket}/${key}: ${object.reason}`);
+      await updateJobObjectStatus(
+        job_id,
+        bucket,
+        key,
+        fileEtag,
         "succeeded",
-        "Unsupported file type - skipped"
+        object.reason
       );
       await deleteMessage(message.ReceiptHandle);
       return;
     }
 
-    console.log(`Downloading s3://${bucket}/${key}`);
-    const { content, etag: actualEtag } = await downloadS3Object(bucket, key);
+    // Decide from the content, not the key, whether and how to scan
+    const content = await sniffStream(object.body, key);
+    await updateJobObjectContent(
+      job_id,
+      bucket,
+      key,
+      fileEtag,
+      content.type,
+      content.encoding
+    );
 
-    const fileEtag = etag || actualEtag;
+    let skipReason = null;
+    if (!content.kind) {
+      skipReason = `Unsupported content (${content.type}) - skipped`;
+    } else if (object.truncated && content.kind !== "text") {
+      // Only plain text can be scanned in part
+      skipReason = `File size (${object.contentLength} bytes) exceeds ${object.scanBytes} bytes and ${content.type} content cannot be truncated - skipped`;
+    }
 
-    console.log(`File downloaded: ${content.length} bytes`);
+    if (skipReason) {
+      content.stream.destroy();
+      console.log(`Skipping s3://${bucket}/${key}: ${skipReason}`);
+      await updateJobObjectStatus(
+        job_id,
+        bucket,
+        key,
+        fileEtag,
+        "succeeded",
+        skipReason
+      );
+      await deleteMessage(message.ReceiptHandle);
+      return;
+    }
+
+    await refreshSuppressionRules();
+    const detectors = getEnabledDetectors(job?.detectors);
+
+    console.log(
+      `Scanning ${object.scanBytes} of ${object.contentLength} bytes (${
+        content.type
+      }${content.encoding ? `, ${content.encoding}` : ""}) with ${
+        detectors.length
+      } detector(s)...`
+    );
+
+    // Findings are staged while the object is read, then stored with the
+    // suppressed counts and the object's final status in one short
+    // transaction, so an object is never marked done with findings missing
+    const stageId = uuidv4();
+    const suppressed = new SuppressionTally();
+    const detectedBy = new Set(); // detectors with findings, for object tags
+    let extractionError = null;
 
-    console.log("Scanning for sensitive data...");
-    const findings = scanContent(content, bucket, key, fileEtag, job_id);
+    try {
+      const stats = await scanObject(content.stream, {
+        key,
+        content,
+        contentLength: object.contentLength,
+        scanOptions: {
+          bucket,
+          key,
+          etag: fileEtag,
+          jobId: job_id,
+          detectors,
+          onFindings: async (findings) => {
+            const stored = suppressed.filter(findings);
+            for (const finding of stored) {
+              finding.ruleset_version = rulesetVersion;
+              if (!finding.test_data && !finding.low_confidence) {
+                detectedBy.add(finding.detector);
+              }
+            }
+            await stageFindings(stageId, stored);
+          },
+        },
+      });
+
+      const notes = [];
+      if (object.truncated) {
+        notes.push(
+          `Scanned first ${object.scanBytes} of ${object.contentLength} bytes (oversize policy: truncate)`
+        );
+      }
+      if (stats.skippedEntries > 0) {
+        notes.push(
+          `Scanned ${stats.scannedEntries} archive entries, skipped ${stats.skippedEntries} unsupported`
+        );
+      }
+
+      // The findings in the entries that could be read are kept
+      if (stats.extractionErrors.length > 0) {
+        const failures = stats.extractionErrors
+          .map(({ entryPath, error }) => `${entryPath} (${error.message})`)
+          .join("; ");
+        extractionError = new ExtractionError(
+          "archive",
+          `Text extraction failed for ${stats.extractionErrors.length} archive entries: ${failures}`
+        );
+      } else if (job?.tag_objects) {
+        // Tagging is best effort: the scan itself succeeded
+        try {
+          const dropped = await writeScanTags(bucket, key, object.versionId, [
+            ...detectedBy,
+          ]);
+          if (dropped.length > 0) {
+            notes.push(
+              `Not tagged with ${dropped.join(", ")}: object tag limit reached`
+            );
+          }
+        } catch (error) {
+          console.error(`Failed to tag s3://${bucket}/${key}:`, error);
+          notes.push(`Tagging failed: ${error.message}`);
+        }
+      }
+
+      // Earlier findings of this ETag are replaced by the new scan's, unless
+      // part of the object could not be read
+      const scannedDetectors = extractionError
+        ? []
+        : [
+            ...detectors.map((detector) => detector.name),
+            ...compositeDetectorNames(detectors),
+          ];
+
+      const stored = await withTransaction(async (client) => {
+        const result = await storeStagedFindings(
+          stageId,
+          {
+            bucket,
+            key,
+            etag: fileEtag,
+            rulesetVersion,
+            detectors: scannedDetectors,
+            scannedBytes: object.truncated ? object.scanBytes : null,
+          },
+          client
+        );
+        await replaceSuppressedCounts(
+          job_id,
+          bucket,
+          key,
+          suppressed.toRows(),
+          client
+        );
+
+        if (extractionError) {
+          await updateJobObjectStatus(
+            job_id,
+            bucket,
+            key,
+            fileEtag,
+            "failed",
+            extractionError.message,
+            extractionError.code,
+            client
+          );
+          return result;
+        }
+
+        if (result.superseded > 0) {
+          notes.push(
+            `Superseded ${result.superseded} findings not found again`
+          );
+        }
+
+        // Findings of the content the object had before it was overwritten
+        if (job?.kind === "continuous") {
+          const superseded = await supersedeFindings(
+            bucket,
+            key,
+            fileEtag,
+            client
+          );
+          if (superseded > 0) {
+            notes.push(`Superseded ${superseded} findings of earlier ETags`);
+          }
+        }
 
-    console.log(`Found ${findings.length} potential sensitive data matches`);
+        await updateJobObjectStatus(
+          job_id,
+          bucket,
+          key,
+          fileEtag,
+          "succeeded",
+          notes.length > 0 ? notes.join("; ") : null,
+          null,
+          client
+        );
+        return result;
+      });
 
-    if (findings.length > 0) {
-      const insertedCount = await insertFindings(findings);
       console.log(
-        `Inserted ${insertedCount} new findings (${
-          findings.length - insertedCount
-        } duplicates skipped)`
+        `Found ${stats.findings} potential sensitive data matches in ${
+          stats.windows
+        } window(s); ${suppressed.total} suppressed, inserted ${
+          stored.inserted
+        } new findings (${
+          stats.findings - suppressed.total - stored.inserted
+        } already stored), superseded ${stored.superseded} not found again`
       );
+    } catch (error) {
+      try {
+        await discardStagedFindings(stageId);
+      } catch (dbError) {
+        console.error("Failed to discard staged findings:", dbError);
+      }
+      throw error;
     }
 
-    await updateJobObjectStatus(job_id, bucket, key, fileEtag, "succeeded");
+    if (extractionError) {
+      console.error(`Error processing message:`, extractionError);
+      await deleteMessage(message.ReceiptHandle);
+      return;
+    }
 
     await deleteMessage(message.ReceiptHandle);
 
@@ -96,75 +425,352 @@ async function processMessage(message) {
   } catch (error) {
     console.error(`Error processing message:`, error);
 
+    // Failures caused by the object's contents will fail again on retry
+    const permanent = error instanceof ScanError && !error.retryable;
+    let status = "failed";
+    if (!permanent) {
+      status = attempt >= MAX_ATTEMPTS ? "dead_lettered" : "retrying";
+    }
+
     const errorMessage = error.message || "Unknown error";
+    const errorCode = error instanceof ScanError ? error.code : null;
     try {
       await updateJobObjectStatus(
         job_id,
         bucket,
         key,
         etag,
-        "failed",
-        errorMessage
+        status,
+        errorMessage,
+        errorCode
       );
     } catch (dbError) {
       console.error("Failed to update error status in database:", dbError);
     }
+
+    if (!permanent) {
+      throw error;
+    }
+    await deleteMessage(message.ReceiptHandle);
   }
 }
 
 /**
- * Delete message from SQS queue
- * @param {string} receiptHandle - Message receipt handle
+ * Scan the objects an S3 event reports created, as part of their bucket's
+ * continuous job. An event for several objects is split into one message
+ * per object, so that each is retried on its own.
+ * @param {object} message - SQS message
+ * @param {object} messageBody - S3 notification or EventBridge event
+ * @param {number} attempt - Delivery of the message, from 1
  */
-async function deleteMessage(receiptHandle) {
-  try {
-    const command = new DeleteMessageCommand({
-      QueueUrl: QUEUE_URL,
-      ReceiptHandle: receiptHandle,
+async function processS3Event(message, messageBody, attempt) {
+  // Empty objects are not scanned, as in POST /scan
+  const objects = parseS3Event(messageBody).filter((object) => object.size > 0);
+  if (objects.length === 0) {
+    console.log("Ignoring S3 event without new objects to scan");
+    await deleteMessage(message.ReceiptHandle);
+    return;
+  }
+
+  const scans = [];
+  for (const object of objects) {
+    const job = await getContinuousJob(object.bucket);
+    await addJobObject(job.job_id, object.bucket, object.key, object.etag);
+    scans.push({
+      job_id: job.job_id,
+      bucket: object.bucket,
+      key: object.key,
+      etag: object.etag,
     });
-    await sqsClient.send(command);
-    console.log("Message deleted from queue");
+  }
+
+  if (scans.length === 1) {
+    await processScan(message, scans[0], attempt);
+    return;
+  }
+
+  for (let i = 0; i < scans.length; i += 10) {
+    const response = await sqsClient.send(
+      new SendMessageBatchCommand({
+        QueueUrl: QUEUE_URL,
+        Entries: scans.slice(i, i + 10).map((scan, index) => ({
+          Id: `${i + index}`,
+          MessageBody: JSON.stringify(scan),
+        })),
+      })
+    );
+    if (response.Failed && response.Failed.length > 0) {
+      throw new Error(
+        `Failed to queue ${response.Failed.length} objects of an S3 event`
+      );
+    }
+  }
+  console.log(`Queued ${scans.length} objects of an S3 event`);
+  await deleteMessage(message.ReceiptHandle);
+}
+
+/**
+ * Apply or revert a remediation action queued by the API
+ * @param {object} message - SQS message
+ * @param {object} messageBody - `{ action_id, remediation: "apply" | "revert" }`
+ * @param {number} attempt - Delivery of the message, from 1
+ */
+async function processRemediation(message, messageBody, attempt) {
+  const { action_id, remediation } = messageBody;
+  const reverting = remediation === "revert";
+
+  const action = await getRemediationAction(action_id);
+  const expectedStatus = reverting ? "reverting" : "pending";
+  if (!action || action.status !== expectedStatus) {
+    console.log(
+      `Ignoring ${remediation} of remediation action ${action_id}: ${
+        action ? `status is ${action.status}` : "not found"
+      }`
+    );
+    await deleteMessage(message.ReceiptHandle);
+    return;
+  }
+
+  console.log(
+    `${reverting ? "Reverting" : "Applying"} ${action.action} of s3://${
+      action.bucket
+    }/${action.key} (action ${action_id})`
+  );
+
+  try {
+    await refreshCustomDetectors();
+    const details = reverting
+      ? await revertRemediation(action)
+      : await applyRemediation(action);
+    await updateRemediationAction(
+      action_id,
+      reverting ? "reverted" : "applied",
+      details
+    );
+    console.log(`Remediation action ${action_id}: ${details.note}`);
+    await deleteMessage(message.ReceiptHandle);
   } catch (error) {
-    console.error("Error deleting message from queue:", error);
+    console.error(`Error processing remediation action ${action_id}:`, error);
+
+    // Retryable failures leave the action in its current status for the
+    // next delivery of the message, until the attempts run out
+    const permanent = error instanceof ScanError && !error.retryable;
+    const failed = permanent || attempt >= MAX_ATTEMPTS;
+    try {
+      await updateRemediationAction(
+        action_id,
+        failed ? (reverting ? "revert_failed" : "failed") : action.status,
+        { error_message: error.message || "Unknown error" }
+      );
+    } catch (dbError) {
+      console.error("Failed to record remediation error in database:", dbError);
+    }
+
+    if (!permanent) {
+      throw error;
+    }
+    await deleteMessage(message.ReceiptHandle);
   }
 }
 
 /**
- * Poll SQS queue for messages
+ * Keep extending a message's visibility until it is done with
+ * @param {object} message - SQS message
+ * @returns {{stop: Function}} Stops the heartbeat, waiting for an extension
+ *   in progress so it cannot override a later visibility change
+ */
+function startHeartbeat(message) {
+  let extending = Promise.resolve();
+  const timer = setInterval(() => {
+    extending = sqsClient
+      .send(
+        new ChangeMessageVisibilityCommand({
+          QueueUrl: QUEUE_URL,
+          ReceiptHandle: message.ReceiptHandle,
+          VisibilityTimeout: VISIBILITY_TIMEOUT,
+        })
+      )
+      .catch((error) => {
+        console.error("Failed to extend message visibility:", error);
+      });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await extending;
+    },
+  };
+}
+
+/**
+ * Make a failed message visible again after an exponential backoff
+ * @param {object} message - SQS message
+ * @param {number} attempt - Delivery of the message that failed, from 1
+ */
+async function retryLater(message, attempt) {
+  const delay = Math.min(
+    RETRY_BASE_DELAY_SECONDS * 2 ** (attempt - 1),
+    RETRY_MAX_DELAY_SECONDS
+  );
+
+  try {
+    await sqsClient.send(
+      new ChangeMessageVisibilityCommand({
+        QueueUrl: QUEUE_URL,
+        ReceiptHandle: message.ReceiptHandle,
+        VisibilityTimeout: delay,
+      })
+    );
+    console.log(`Retrying message in ${delay}s (attempt ${attempt} failed)`);
+  } catch (error) {
+    console.error("Failed to delay message retry:", error);
+  }
+}
+
+/**
+ * Move a message to the dead-letter queue, keeping its body for inspection.
+ * If that fails the message is left on the queue, and the queue's redrive
+ * policy dead-letters it once its receives run out.
+ * @param {object} message - SQS message
+ * @param {string} reason - Why the message was given up on
+ */
+async function deadLetter(message, reason) {
+  console.error(`Dead-lettering message ${message.MessageId}: ${reason}`);
+
+  if (!DLQ_URL) {
+    console.error("DLQ_URL is not set; leaving message on the queue");
+    return;
+  }
+
+  try {
+    await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: DLQ_URL,
+        MessageBody: message.Body,
+        MessageAttributes: {
+          reason: { DataType: "String", StringValue: reason.slice(0, 1024) },
+          source_message_id: {
+            DataType: "String",
+            StringValue: message.MessageId,
+          },
+          receive_count: {
+            DataType: "Number",
+            StringValue: message.Attributes?.ApproximateReceiveCount || "1",
+          },
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Failed to send message to dead-letter queue:", error);
+    return;
+  }
+
+  await deleteMessage(message.ReceiptHandle);
+}
+
+/**
+ * Queue a message for deletion. Deletes are sent in batches, once
+ * DELETE_BATCH_SIZE are queued or after DELETE_FLUSH_MS.
+ * @param {string} receiptHandle - Message receipt handle
+ */
+async function deleteMessage(receiptHandle) {
+  pendingDeletes.push(receiptHandle);
+
+  if (pendingDeletes.length >= DELETE_BATCH_SIZE) {
+    flushDeletes();
+  } else if (!deleteTimer) {
+    deleteTimer = setTimeout(flushDeletes, DELETE_FLUSH_MS);
+  }
+}
+
+/**
+ * Delete every queued message from the SQS queue
+ */
+function flushDeletes() {
+  clearTimeout(deleteTimer);
+  deleteTimer = null;
+
+  const receiptHandles = pendingDeletes;
+  pendingDeletes = [];
+
+  deleting = deleting.then(async () => {
+    for (let i = 0; i < receiptHandles.length; i += DELETE_BATCH_SIZE) {
+      const batch = receiptHandles.slice(i, i + DELETE_BATCH_SIZE);
+      try {
+        const response = await sqsClient.send(
+          new DeleteMessageBatchCommand({
+            QueueUrl: QUEUE_URL,
+            Entries: batch.map((receiptHandle, index) => ({
+              Id: `${index}`,
+              ReceiptHandle: receiptHandle,
+            })),
+          })
+        );
+        if (response.Failed && response.Failed.length > 0) {
+          console.error("Failed to delete some messages:", response.Failed);
+        }
+        console.log(
+          `Deleted ${
+            batch.length - (response.Failed?.length || 0)
+          } message(s) from queue`
+        );
+      } catch (error) {
+        console.error("Error deleting messages from queue:", error);
+      }
+    }
+  });
+
+  return deleting;
+}
+
+/**
+ * Poll SQS queue for messages, processing up to WORKER_CONCURRENCY at once
  */
 async function pollQueue() {
-  console.log(`Polling queue: ${QUEUE_URL}`);
+  console.log(
+    `Polling queue: ${QUEUE_URL} (concurrency ${workers.concurrency})`
+  );
 
   while (!isShuttingDown) {
+    const capacity = await workers.waitForCapacity();
+    if (isShuttingDown) {
+      break;
+    }
+
     try {
       const command = new ReceiveMessageCommand({
         QueueUrl: QUEUE_URL,
-        MaxNumberOfMessages: MAX_MESSAGES,
+        MaxNumberOfMessages: Math.min(MAX_MESSAGES, capacity),
         WaitTimeSeconds: WAIT_TIME_SECONDS,
         VisibilityTimeout: VISIBILITY_TIMEOUT,
         AttributeNames: ["All"],
       });
 
-      const response = await sqsClient.send(command);
+      receiveAbort = new AbortController();
+      const response = await sqsClient.send(command, {
+        abortSignal: receiveAbort.signal,
+      });
 
       if (response.Messages && response.Messages.length > 0) {
-        console.log(`Received ${response.Messages.length} message(s)`);
+        console.log(
+          `Received ${response.Messages.length} message(s), ${workers.size} in flight`
+        );
 
         for (const message of response.Messages) {
-          if (isShuttingDown) {
-            break;
-          }
-          await processMessage(message);
+          workers.run(() => processMessage(message));
         }
       } else {
         console.log("No messages received, continuing to poll...");
       }
     } catch (error) {
-      console.error("Error polling queue:", error);
-
-      if (!isShuttingDown) {
-        await new Promise((resolve) => setTimeout(resolve, 5000));
+      if (isShuttingDown) {
+        break;
       }
+      console.error("Error polling queue:", error);
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+    } finally {
+      receiveAbort = null;
     }
   }
 
@@ -172,13 +778,20 @@ async function pollQueue() {
 }
 
 /**
- * Graceful shutdown handler
+ * Graceful shutdown handler: stop receiving, then wait for the messages
+ * in flight to finish
  */
 async function shutdown(signal) {
+  if (isShuttingDown) {
+    return;
+  }
   console.log(`Received ${signal}, starting graceful shutdown...`);
   isShuttingDown = true;
+  receiveAbort?.abort();
 
-  await new Promise((resolve) => setTimeout(resolve, 2000));
+  console.log(`Waiting for ${workers.size} in-flight message(s)...`);
+  await workers.drain();
+  await flushDeletes();
 
   await closePool();
 
@@ -207,6 +820,17 @@ async function main() {
     process.exit(1);
   }
 
+  try {
+    const purged = await purgeStaleStagedFindings(
+      STAGED_FINDINGS_MAX_AGE_HOURS
+    );
+    if (purged > 0) {
+      console.log(`Purged ${purged} stale staged findings`);
+    }
+  } catch (error) {
+    console.error("Failed to purge stale staged findings:", error);
+  }
+
   process.on("SIGTERM", () => shutdown("SIGTERM"));
   process.on("SIGINT", () => shutdown("SIGINT"));
 
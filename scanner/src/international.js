@@ -0,0 +1,149 @@
+// Non-US personal identifiers. Registered alongside the other detectors in
+// detectors.js but disabled by default: select them per scan by name or by
+// group (see DETECTOR_GROUPS in api/shared/detectors.js).
+const { luhnCheck, ibanCheck, verhoeffCheck } = require("./checksums");
+
+// Prefixes never allocated as National Insurance numbers
+const NINO_INVALID_PREFIXES = ["BG", "GB", "KN", "NK", "NT", "TN", "ZZ"];
+
+function ninoCheck(value) {
+  return !NINO_INVALID_PREFIXES.includes(value.slice(0, 2));
+}
+
+function sinCheck(value) {
+  // SINs starting with 0 are unassigned and 8 is used for business numbers
+  const digits = value.replace(/\D/g, "");
+  return !/^[08]/.test(digits) && luhnCheck(digits, 9, 9);
+}
+
+const INTERNATIONAL_DETECTORS = [
+  {
+    name: "IBAN",
+    // Printed in groups of four or as one run
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g],
+    validators: [ibanCheck],
+    contextKeywords: [
+      "iban",
+      "bank",
+      "account",
+      "konto",
+      "rib",
+      "swift",
+      "bic",
+    ],
+    baseConfidence: 0.6,
+    severity: "high",
+    classification: "financial",
+    enabledByDefault: false,
+    mask: (match) => {
+      const iban = match.replace(/ /g, "");
+      const hidden = "*".repeat(iban.length - 8);
+      return `${iban.slice(0, 4)}${hidden}${iban.slice(-4)}`;
+    },
+  },
+
+  {
+    name: "UK_NINO",
+    patterns: [
+      /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    ],
+    validators: [ninoCheck],
+    contextKeywords: [
+      "national insurance",
+      "nino",
+      "ni number",
+      "ni no",
+      "nat ins",
+    ],
+    baseConfidence: 0.4,
+    severity: "high",
+    classification: "pii",
+    enabledByDefault: false,
+    mask: (match) => `${match.slice(0, 2)}******${match.slice(-1)}`,
+  },
+
+  {
+    name: "CA_SIN",
+    patterns: [/\b\d{3}([ -]?)\d{3}\1\d{3}\b/g],
+    validators: [sinCheck],
+    // "sin" alone would match inside words such as "using"
+    contextKeywords: [
+      "social insurance",
+      "sin number",
+      "sin no",
+      "sin#",
+      "sin:",
+      "assurance sociale",
+    ],
+    baseConfidence: 0.25,
+    severity: "high",
+    classification: "pii",
+    enabledByDefault: false,
+    mask: (match) => `***-***-${match.slice(-3)}`,
+  },
+
+  {
+    name: "IN_AADHAAR",
+    // 12 digits, never starting with 0 or 1, usually grouped in fours
+    patterns: [/\b[2-9]\d{3}([ -]?)\d{4}\1\d{4}\b/g],
+    validators: [verhoeffCheck],
+    contextKeywords: ["aadhaar", "aadhar", "uidai"],
+    baseConfidence: 0.3,
+    severity: "high",
+    classification: "pii",
+    enabledByDefault: false,
+    mask: (match) => `****-****-${match.slice(-4)}`,
+  },
+
+  {
+    name: "E164_PHONE",
+    // +<country code><number>, at most 15 digits, optionally spaced
+    patterns: [/(?<![\w+])\+[1-9](?:[ -]?\d){7,14}(?![\d-])/g],
+    validators: [],
+    contextKeywords: [
+      "phone",
+      "tel",
+      "telephone",
+      "mobile",
+      "cell",
+      "whatsapp",
+      "contact",
+    ],
+    baseConfidence: 0.5,
+    severity: "low",
+    classification: "pii",
+    enabledByDefault: false,
+    mask: (match) => {
+      const digits = match.replace(/\D/g, "");
+      const hidden = "*".repeat(digits.length - 6);
+      return `+${digits.slice(0, 2)}${hidden}${digits.slice(-4)}`;
+    },
+  },
+
+  {
+    name: "PASSPORT",
+    // No shared format: most countries use 6-9 digits with up to two
+    // leading letters, so only a nearby keyword makes a match count
+    patterns: [/\b(?:[A-Z]{1,2}\d{6,8}|\d{9})\b/g],
+    validators: [],
+    contextKeywords: [
+      "passport",
+      "passport no",
+      "passport number",
+      "reisepass",
+      "passeport",
+      "pasaporte",
+      "passaporto",
+    ],
+    contextWindow: 50,
+    baseConfidence: 0.15,
+    severity: "high",
+    classification: "pii",
+    enabledByDefault: false,
+    mask: (match) => `${"*".repeat(match.length - 3)}${match.slice(-3)}`,
+  },
+];
+
+module.exports = {
+  INTERNATIONAL_DETECTORS,
+};
@@ -0,0 +1,317 @@
+const path = require("path");
+
+const MAX_KEY_LENGTH = 256;
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function utf8Length(code) {
+  if (code < 0x80) {
+    return 1;
+  }
+  if (code < 0x800) {
+    return 2;
+  }
+  if (code >= 0xd800 && code <= 0xdbff) {
+    return 4; // high surrogate: the whole pair is 4 bytes
+  }
+  if (code >= 0xdc00 && code <= 0xdfff) {
+    return 0; // low surrogate: counted with its high surrogate
+  }
+  return 3;
+}
+
+// UTF-16 stores every UTF-16 code unit in two bytes
+const utf16Length = () => 2;
+// Single-byte encodings map every byte to one BMP character
+const singleByteLength = () => 1;
+
+function getByteLengthFunction(encoding) {
+  switch (encoding) {
+    case "utf-16le":
+    case "utf-16be":
+      return utf16Length;
+    case "windows-1252":
+    case "iso-8859-1":
+    case "latin1":
+      return singleByteLength;
+    default:
+      return utf8Length;
+  }
+}
+
+/**
+ * Tracks the JSON path of the value being read, one character at a time
+ */
+function createJsonTracker() {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let capturingKey = false;
+  let keyBuffer = "";
+
+  function feed(char) {
+    const top = stack[stack.length - 1];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (capturingKey) {
+          top.key = keyBuffer;
+          capturingKey = false;
+        }
+        return;
+      }
+      if (capturingKey && keyBuffer.length < MAX_KEY_LENGTH) {
+        keyBuffer += char;
+      }
+      return;
+    }
+
+    switch (char) {
+      case '"':
+        inString = true;
+        if (top && top.type === "object" && top.expectKey) {
+          capturingKey = true;
+          keyBuffer = "";
+          top.expectKey = false;
+        }
+        break;
+      case "{":
+        stack.push({ type: "object", key: null, expectKey: true });
+        break;
+      case "[":
+        stack.push({ type: "array", index: 0 });
+        break;
+      case "}":
+      case "]":
+        stack.pop();
+        break;
+      case ",":
+        if (top && top.type === "object") {
+          top.expectKey = true;
+        } else if (top && top.type === "array") {
+          top.index++;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  function location() {
+    let jsonPath = "$";
+    for (const entry of stack) {
+      if (entry.type === "array") {
+        jsonPath += `[${entry.index}]`;
+      } else if (entry.key !== null) {
+        jsonPath += IDENTIFIER_REGEX.test(entry.key)
+          ? `.${entry.key}`
+          : `[${JSON.stringify(entry.key)}]`;
+      }
+    }
+    return { json_path: jsonPath };
+  }
+
+  /**
+   * Field path with array indices dropped (e.g. addresses[].zip), so the
+   * same field can be grouped across records
+   */
+  function column() {
+    const parts = [];
+    for (const entry of stack) {
+      if (entry.type === "array") {
+        parts.push(parts.length > 0 ? `${parts.pop()}[]` : "[]");
+      } else if (entry.key !== null) {
+        parts.push(entry.key);
+      }
+    }
+    return parts.length > 0 ? parts.join(".") : null;
+  }
+
+  return { feed, location, column };
+}
+
+/**
+ * Tracks the JSON Lines record (1-based) and the field being read. Each
+ * line is an independent JSON value.
+ */
+function createJsonLinesTracker() {
+  let json = createJsonTracker();
+  let row = 1;
+
+  function feed(char) {
+    // Raw newlines cannot occur inside JSON strings, so they always end a record
+    if (char === "\n") {
+      json = createJsonTracker();
+      row++;
+      return;
+    }
+    json.feed(char);
+  }
+
+  function location() {
+    return { row, column: json.column(), ...json.location() };
+  }
+
+  return { feed, location };
+}
+
+/**
+ * Tracks the CSV record and column being read, one character at a time.
+ * The first record is treated as the header row.
+ */
+function createCsvTracker() {
+  let header = [];
+  let field = "";
+  let fieldIndex = 0;
+  let record = 0; // 0 is the header row
+  let inQuotes = false;
+  let pendingQuote = false;
+
+  function endField() {
+    if (record === 0) {
+      header.push(field.trim());
+    }
+    field = "";
+    fieldIndex++;
+  }
+
+  function feed(char) {
+    if (pendingQuote) {
+      pendingQuote = false;
+      if (char === '"') {
+        // Escaped quote inside a quoted field
+        if (record === 0) {
+          field += char;
+        }
+        return;
+      }
+      inQuotes = false;
+    }
+
+    if (inQuotes) {
+      if (char === '"') {
+        pendingQuote = true;
+      } else if (record === 0 && field.length < MAX_KEY_LENGTH) {
+        field += char;
+      }
+      return;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n") {
+      endField();
+      record++;
+      fieldIndex = 0;
+    } else if (record === 0 && char !== "\r" && field.length < MAX_KEY_LENGTH) {
+      field += char;
+    }
+  }
+
+  function location() {
+    if (record === 0) {
+      return { row: 0, column_index: fieldIndex, column: null };
+    }
+    return {
+      row: record,
+      column_index: fieldIndex,
+      column: header[fieldIndex] || null,
+    };
+  }
+
+  return { feed, location };
+}
+
+function createStructureTracker(key) {
+  const extension = path.extname(key).toLowerCase();
+  if (extension === ".json") {
+    return createJsonTracker();
+  }
+  if (extension === ".jsonl" || extension === ".ndjson") {
+    return createJsonLinesTracker();
+  }
+  if (extension === ".csv") {
+    return createCsvTracker();
+  }
+  return null;
+}
+
+/**
+ * Create a locator that converts character offsets in a decoded stream into
+ * byte offsets, 1-based line and column numbers, and (for JSON, JSON Lines
+ * and CSV) structural locations. Offsets must be requested in non-decreasing
+ * order and every character must be fed exactly once, in order.
+ *
+ * @param {string} key - S3 key, used to pick the structural tracker
+ * @param {object} [options]
+ * @param {string} [options.encoding] - Encoding the text was decoded from,
+ *   used to count bytes (default utf-8)
+ * @param {number} [options.bomLength] - Bytes of byte order mark before the
+ *   first character
+ */
+function createLocator(key, options = {}) {
+  const structure = createStructureTracker(key);
+  const byteLength = getByteLengthFunction(options.encoding);
+
+  let charOffset = 0;
+  let byteOffset = options.bomLength || 0;
+  let line = 1;
+  let column = 1;
+
+  /**
+   * Advance to an absolute character offset
+   * @param {string} text - Decoded text containing the range to advance over
+   * @param {number} textStart - Absolute character offset of text[0]
+   * @param {number} target - Absolute character offset to advance to
+   */
+  function advanceTo(text, textStart, target) {
+    if (target < charOffset) {
+      throw new Error(
+        `Locator cannot move backwards (at ${charOffset}, asked for ${target})`
+      );
+    }
+    if (charOffset < textStart) {
+      throw new Error(
+        `Locator is at ${charOffset} but text starts at ${textStart}`
+      );
+    }
+
+    for (let i = charOffset - textStart; i < target - textStart; i++) {
+      const code = text.charCodeAt(i);
+      byteOffset += byteLength(code);
+
+      if (code === 0x0a) {
+        line++;
+        column = 1;
+      } else if (code < 0xdc00 || code > 0xdfff) {
+        column++;
+      }
+
+      if (structure) {
+        structure.feed(text[i]);
+      }
+    }
+    charOffset = target;
+  }
+
+  function position() {
+    return {
+      byte_offset: byteOffset,
+      line_number: line,
+      column_number: column,
+      location: structure ? structure.location() : null,
+    };
+  }
+
+  return { advanceTo, position };
+}
+
+module.exports = {
+  createLocator,
+};
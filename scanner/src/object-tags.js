@@ -0,0 +1,125 @@
+const {
+  S3Client,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+} = require("@aws-sdk/client-s3");
+const { getDetector } = require("./detectors");
+const { CREDENTIAL_PAIRS } = require("./correlation");
+const { version: SCANNER_VERSION } = require("../package.json");
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || "us-east-1",
+});
+
+const MAX_TAGS = 10; // per object, an S3 limit
+const MAX_VALUE_LENGTH = 256;
+
+// Detector classifications from most to least sensitive. An object is
+// tagged with the most sensitive one among its findings.
+const CLASSIFICATIONS = ["credentials", "financial", "pii", "sensitive"];
+
+function classificationOf(detectorName) {
+  const detector =
+    getDetector(detectorName) ||
+    CREDENTIAL_PAIRS.find((pair) => pair.name === detectorName);
+  return detector ? detector.classification : null;
+}
+
+/**
+ * Join values for a tag value. Tag values cannot contain commas, so values
+ * are joined with "+"; those that do not fit are left out.
+ */
+function joinTagValues(values) {
+  let joined = "";
+  for (const value of values) {
+    const next = joined ? `${joined}+${value}` : value;
+    if (next.length > MAX_VALUE_LENGTH - 4) {
+      return `${joined}+...`;
+    }
+    joined = next;
+  }
+  return joined;
+}
+
+/**
+ * Tags recording the outcome of a scan, most important first
+ * @param {string[]} detectorNames - Detectors with findings in the object
+ * @param {Date} scannedAt - When the object was scanned
+ * @returns {Array<{Key: string, Value: string}>}
+ */
+function buildScanTags(detectorNames, scannedAt = new Date()) {
+  const names = [...new Set(detectorNames)].sort();
+  const classifications = names.map(classificationOf);
+
+  return [
+    {
+      Key: "data-classification",
+      Value:
+        CLASSIFICATIONS.find((classification) =>
+          classifications.includes(classification)
+        ) || "none",
+    },
+    { Key: "detectors", Value: joinTagValues(names) || "none" },
+    { Key: "scanned-at", Value: scannedAt.toISOString() },
+    { Key: "scanner-version", Value: SCANNER_VERSION },
+  ];
+}
+
+/**
+ * Add scan tags to an object's existing tags. Existing tags are kept, except
+ * scan tags from an earlier scan, which are replaced; scan tags that do not
+ * fit within the limit are left out.
+ * @returns {{tagSet: object[], dropped: string[]}} Tags to write and the
+ *   keys of scan tags left out
+ */
+function mergeTags(existing, scanTags) {
+  const scanKeys = new Set(scanTags.map((tag) => tag.Key));
+  const kept = existing.filter((tag) => !scanKeys.has(tag.Key));
+  const room = Math.max(MAX_TAGS - kept.length, 0);
+
+  return {
+    tagSet: [...kept, ...scanTags.slice(0, room)],
+    dropped: scanTags.slice(room).map((tag) => tag.Key),
+  };
+}
+
+/**
+ * Tag a scanned object version with its classification and the detectors
+ * that found something in it
+ * @param {string} bucket - S3 bucket
+ * @param {string} key - S3 key
+ * @param {string|undefined} versionId - Version that was scanned
+ * @param {string[]} detectorNames - Detectors with findings in the object
+ * @returns {Promise<string[]>} Keys of scan tags left out for lack of room
+ */
+async function writeScanTags(bucket, key, versionId, detectorNames) {
+  const current = await s3Client.send(
+    new GetObjectTaggingCommand({
+      Bucket: bucket,
+      Key: key,
+      VersionId: versionId,
+    })
+  );
+
+  const { tagSet, dropped } = mergeTags(
+    current.TagSet || [],
+    buildScanTags(detectorNames)
+  );
+
+  await s3Client.send(
+    new PutObjectTaggingCommand({
+      Bucket: bucket,
+      Key: key,
+      VersionId: versionId,
+      Tagging: { TagSet: tagSet },
+    })
+  );
+
+  return dropped;
+}
+
+module.exports = {
+  buildScanTags,
+  mergeTags,
+  writeScanTags,
+};
@@ -0,0 +1,91 @@
+const { scanContent, applyFieldContext } = require("./detectors");
+const { flattenRecord } = require("./records");
+const { createCorrelator } = require("./correlation");
+
+// Findings are handed to onFindings in batches of about this many
+const FINDINGS_BATCH_SIZE = 500;
+
+/**
+ * Scan decoded records (Parquet rows, Avro records) field by field
+ *
+ * Each record is rendered as one line of `column: value` pairs separated by
+ * tabs, so detectors see the field name and neighbouring fields as context.
+ * Offsets refer to this rendered text; the location names the record and
+ * the field the match was found in.
+ *
+ * @param {Function} forEachRecord - async (stream, onRecord) => void, from
+ *   records.js
+ * @param {Readable} stream - Encoded records
+ * @param {object} options - Same as scanStream: bucket, key, etag, jobId,
+ *   detectors, onFindings and entryPath
+ * @returns {Promise<{bytes: number, records: number, findings: number}>}
+ */
+async function scanRecords(forEachRecord, stream, options) {
+  const { bucket, key, etag, jobId, detectors, onFindings } = options;
+  const entryPath = options.entryPath || null;
+  const correlate = createCorrelator(detectors);
+  const stats = { bytes: 0, records: 0, findings: 0 };
+
+  let batch = [];
+
+  await forEachRecord(stream, async (record) => {
+    stats.records++;
+    const row = stats.records;
+
+    let line = "";
+    const fields = []; // { start, column }, ordered by start
+    for (const { column, value } of flattenRecord(record)) {
+      if (line.length > 0) {
+        line += "\t";
+      }
+      fields.push({ start: line.length, column });
+      line += column === null ? value : `${column}: ${value}`;
+    }
+    line += "\n";
+
+    const findings = scanContent(line, bucket, key, etag, jobId, detectors);
+    for (const finding of findings) {
+      let field = fields[0];
+      for (const candidate of fields) {
+        if (candidate.start > finding.char_offset) {
+          break;
+        }
+        field = candidate;
+      }
+
+      Object.assign(finding, {
+        entry_path: entryPath,
+        byte_offset:
+          stats.bytes +
+          Buffer.byteLength(line.slice(0, finding.char_offset), "utf-8"),
+        line_number: null,
+        column_number: null,
+        location: { row, column: field ? field.column : null },
+      });
+      applyFieldContext(finding, finding.location.column);
+    }
+
+    if (correlate) {
+      findings.push(...correlate(findings));
+    }
+
+    stats.bytes += Buffer.byteLength(line, "utf-8");
+    stats.findings += findings.length;
+    batch.push(...findings);
+
+    if (batch.length >= FINDINGS_BATCH_SIZE) {
+      await onFindings(batch);
+      batch = [];
+    }
+  });
+
+  if (batch.length > 0) {
+    await onFindings(batch);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  scanRecords,
+};
@@ -0,0 +1,185 @@
+const avro = require("avsc");
+const snappy = require("snappyjs");
+const { forwardErrors, withTempFile } = require("./archives");
+const { ExtractionError } = require("./errors");
+
+// Avro longs are decoded as BigInt: card numbers and other identifiers stored
+// as longs can exceed Number.MAX_SAFE_INTEGER
+const AVRO_LONG_TYPE = avro.types.LongType.__with({
+  fromBuffer: (buffer) => buffer.readBigInt64LE(),
+  toBuffer: (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64LE(BigInt(value));
+    return buffer;
+  },
+  fromJSON: BigInt,
+  toJSON: Number,
+  isValid: (value) => typeof value === "bigint",
+  compare: (a, b) => (a === b ? 0 : a < b ? -1 : 1),
+});
+
+const AVRO_CODECS = {
+  ...avro.streams.BlockDecoder.getDefaultCodecs(),
+  // Snappy blocks are followed by a 4-byte CRC of the uncompressed data
+  snappy: (buffer, callback) => {
+    try {
+      callback(null, Buffer.from(snappy.uncompress(buffer.subarray(0, -4))));
+    } catch (error) {
+      callback(error);
+    }
+  },
+};
+
+/**
+ * Flatten a decoded record into scalar fields. Nested fields are joined with
+ * "." and array elements share their array's name with a "[]" suffix, so a
+ * field has the same column name in every record.
+ * @param {*} value - Record or field value
+ * @param {string|null} [column] - Name of the field holding value
+ * @param {object[]} [fields] - Accumulator
+ * @returns {Array<{column: string|null, value: string}>}
+ */
+function flattenRecord(value, column = null, fields = []) {
+  if (value === null || value === undefined) {
+    return fields;
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    fields.push({ column, value: Buffer.from(value).toString("utf-8") });
+  } else if (value instanceof Date) {
+    fields.push({ column, value: value.toISOString() });
+  } else if (Array.isArray(value)) {
+    const itemColumn = column === null ? "[]" : `${column}[]`;
+    for (const item of value) {
+      flattenRecord(item, itemColumn, fields);
+    }
+  } else if (typeof value === "object") {
+    for (const [name, fieldValue] of Object.entries(value)) {
+      flattenRecord(
+        fieldValue,
+        column === null ? name : `${column}.${name}`,
+        fields
+      );
+    }
+  } else {
+    fields.push({ column, value: String(value) });
+  }
+
+  return fields;
+}
+
+/**
+ * Call onRecord for each row of a Parquet file, one row group at a time.
+ * Parquet keeps its metadata in a footer, so the stream is spilled to a
+ * temporary file first.
+ * @param {Readable} stream - Parquet data
+ * @param {Function} onRecord - async (record) => void
+ */
+async function forEachParquetRecord(stream, onRecord) {
+  // hyparquet is published as an ES module only
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } =
+    await import("hyparquet");
+  const { compressors } = await import("hyparquet-compressors");
+
+  await withTempFile(stream, "scan-parquet-", async (filePath) => {
+    const file = await asyncBufferFromFile(filePath);
+
+    let metadata;
+    try {
+      metadata = await parquetMetadataAsync(file);
+    } catch (error) {
+      throw new ExtractionError(
+        "parquet",
+        `Invalid Parquet file: ${error.message}`,
+        error
+      );
+    }
+
+    let rowStart = 0;
+    for (const rowGroup of metadata.row_groups) {
+      const rowEnd = rowStart + Number(rowGroup.num_rows);
+
+      let rows;
+      try {
+        rows = await parquetReadObjects({
+          file,
+          metadata,
+          compressors,
+          rowStart,
+          rowEnd,
+        });
+      } catch (error) {
+        throw new ExtractionError(
+          "parquet",
+          `Failed to decode Parquet rows ${rowStart}-${rowEnd}: ${error.message}`,
+          error
+        );
+      }
+
+      for (const row of rows) {
+        await onRecord(row);
+      }
+      rowStart = rowEnd;
+    }
+  });
+}
+
+/**
+ * Call onRecord for each record of an Avro object container file
+ * @param {Readable} stream - Avro data
+ * @param {Function} onRecord - async (record) => void
+ */
+async function forEachAvroRecord(stream, onRecord) {
+  const decoder = forwardErrors(
+    stream,
+    new avro.streams.BlockDecoder({
+      codecs: AVRO_CODECS,
+      parseHook: (schema) =>
+        avro.Type.forSchema(schema, { registry: { long: AVRO_LONG_TYPE } }),
+    })
+  );
+
+  // Only decoding errors are wrapped; errors reading the source or from
+  // onRecord pass through
+  let sourceError = null;
+  stream.on("error", (error) => {
+    sourceError = error;
+  });
+
+  const records = decoder[Symbol.asyncIterator]();
+  try {
+    for (;;) {
+      let next;
+      try {
+        next = await records.next();
+      } catch (error) {
+        if (error === sourceError) {
+          throw error;
+        }
+        throw new ExtractionError(
+          "avro",
+          `Failed to decode Avro file: ${error.message}`,
+          error
+        );
+      }
+      if (next.done) {
+        return;
+      }
+      await onRecord(next.value);
+    }
+  } finally {
+    decoder.destroy();
+  }
+}
+
+const RECORD_READERS = {
+  parquet: forEachParquetRecord,
+  avro: forEachAvroRecord,
+};
+
+module.exports = {
+  flattenRecord,
+  forEachParquetRecord,
+  forEachAvroRecord,
+  RECORD_READERS,
+};
@@ -0,0 +1,569 @@
+const {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  GetObjectTaggingCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectAclCommand,
+  PutObjectAclCommand,
+  GetBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+} = require("@aws-sdk/client-s3");
+const { getDetector, findMatches } = require("./detectors");
+const { sniffStream } = require("./content-sniffer");
+const { CREDENTIAL_PAIRS } = require("./correlation");
+const { updateRemediationAction, withBucketPolicyLock } = require("./db");
+const { RemediationError } = require("./errors");
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || "us-east-1",
+});
+
+const QUARANTINE_BUCKET = process.env.QUARANTINE_BUCKET;
+const REDACT_MAX_BYTES = parseInt(
+  process.env.REDACT_MAX_BYTES || String(100 * 1024 * 1024)
+);
+// Principals a bucket-policy deny does not apply to, e.g. the scanner itself
+const EXEMPT_PRINCIPALS = (process.env.REMEDIATION_EXEMPT_PRINCIPALS || "")
+  .split(",")
+  .map((arn) => arn.trim())
+  .filter(Boolean);
+// Largest object a single CopyObject request can copy
+const MAX_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+// Largest bucket policy S3 accepts
+const MAX_BUCKET_POLICY_BYTES = 20 * 1024;
+
+// S3 errors that will not go away on retry
+const PERMANENT_ERRORS = [
+  "AccessDenied",
+  "AccessControlListNotSupported",
+  "InvalidRequest",
+  "MalformedPolicy",
+  "NoSuchBucket",
+  "NoSuchKey",
+  "NotFound",
+];
+
+// Encodings a redacted object can be written back in
+const ENCODERS = {
+  "utf-8": (text) => Buffer.from(text, "utf-8"),
+  "utf-16le": (text) => Buffer.from(text, "utf16le"),
+  "utf-16be": (text) => Buffer.from(text, "utf16le").swap16(),
+};
+
+async function send(command) {
+  try {
+    return await s3Client.send(command);
+  } catch (error) {
+    // HeadObject reports a failed IfMatch as a bare 412
+    if (
+      error.name === "PreconditionFailed" ||
+      error.$metadata?.httpStatusCode === 412
+    ) {
+      throw new RemediationError(
+        "Object has changed since it was scanned; scan it again first",
+        error
+      );
+    }
+    if (PERMANENT_ERRORS.includes(error.name)) {
+      throw new RemediationError(
+        `${command.constructor.name.replace(/Command$/, "")} failed: ${
+          error.message
+        }`,
+        error
+      );
+    }
+    throw error;
+  }
+}
+
+function copySource(bucket, key, versionId) {
+  const source = `${bucket}/${key
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/")}`;
+  return versionId
+    ? `${source}?versionId=${encodeURIComponent(versionId)}`
+    : source;
+}
+
+/**
+ * HEAD the object, failing when it is no longer the version that was
+ * scanned
+ */
+async function headScanned(action) {
+  return send(
+    new HeadObjectCommand({
+      Bucket: action.bucket,
+      Key: action.key,
+      IfMatch: action.etag ? `"${action.etag}"` : undefined,
+    })
+  );
+}
+
+async function readBody(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Copy the object as it was to the quarantine bucket, once: a retried
+ * action reuses the copy made by the earlier attempt
+ * @param {object} action - remediation_actions row, updated in place
+ * @param {object} head - HeadObject response for the version to keep
+ */
+async function keepOriginal(action, head) {
+  if (action.quarantine_key) {
+    return;
+  }
+  if (!QUARANTINE_BUCKET) {
+    throw new RemediationError("QUARANTINE_BUCKET is not configured");
+  }
+  if (head.ContentLength > MAX_COPY_BYTES) {
+    throw new RemediationError(
+      `Object is ${head.ContentLength} bytes; objects over ${MAX_COPY_BYTES} bytes cannot be copied`
+    );
+  }
+
+  const quarantineKey = `${action.action_id}/${action.bucket}/${action.key}`;
+  await send(
+    new CopyObjectCommand({
+      Bucket: QUARANTINE_BUCKET,
+      Key: quarantineKey,
+      CopySource: copySource(action.bucket, action.key, head.VersionId),
+      CopySourceIfMatch: head.ETag,
+    })
+  );
+
+  const details = {
+    quarantine_bucket: QUARANTINE_BUCKET,
+    quarantine_key: quarantineKey,
+    source_version_id: head.VersionId,
+  };
+  await updateRemediationAction(action.action_id, action.status, details);
+  Object.assign(action, details);
+}
+
+/**
+ * Put the original back from the quarantine bucket, for quarantined and
+ * redacted objects
+ */
+async function restoreOriginal(action) {
+  if (!action.quarantine_key) {
+    return { note: "Object was not changed; nothing to restore" };
+  }
+  // A redacted object written over since would be lost
+  if (action.redacted_etag) {
+    const current = await send(
+      new HeadObjectCommand({ Bucket: action.bucket, Key: action.key })
+    );
+    if (current.ETag !== `"${action.redacted_etag}"`) {
+      throw new RemediationError(
+        "Object has changed since it was redacted; restore the original by hand"
+      );
+    }
+  }
+
+  await send(
+    new CopyObjectCommand({
+      Bucket: action.bucket,
+      Key: action.key,
+      CopySource: copySource(action.quarantine_bucket, action.quarantine_key),
+    })
+  );
+  if (action.delete_marker_version_id) {
+    await send(
+      new DeleteObjectCommand({
+        Bucket: action.bucket,
+        Key: action.key,
+        VersionId: action.delete_marker_version_id,
+      })
+    );
+  }
+  await send(
+    new DeleteObjectCommand({
+      Bucket: action.quarantine_bucket,
+      Key: action.quarantine_key,
+    })
+  );
+
+  return {
+    note: `Restored from s3://${action.quarantine_bucket}/${action.quarantine_key}`,
+  };
+}
+
+async function applyQuarantine(action) {
+  if (!action.quarantine_key) {
+    await keepOriginal(action, await headScanned(action));
+  }
+
+  // In a versioned bucket this adds a delete marker, so that no version
+  // becomes current; deleting only the copied version would make the one
+  // before it, likely holding the same data, current again
+  if (!action.delete_marker_version_id) {
+    const deleted = await send(
+      new DeleteObjectCommand({ Bucket: action.bucket, Key: action.key })
+    );
+    // A "null" marker, in a bucket with versioning suspended, is replaced
+    // by the restored object, so there is nothing to remove on revert
+    if (deleted.DeleteMarker && deleted.VersionId !== "null") {
+      const details = { delete_marker_version_id: deleted.VersionId };
+      await updateRemediationAction(action.action_id, action.status, details);
+      Object.assign(action, details);
+    }
+  }
+
+  // The copied version is then only kept in the quarantine bucket
+  if (action.source_version_id && action.source_version_id !== "null") {
+    await send(
+      new DeleteObjectCommand({
+        Bucket: action.bucket,
+        Key: action.key,
+        VersionId: action.source_version_id,
+      })
+    );
+  }
+
+  return {
+    note: `Moved to s3://${action.quarantine_bucket}/${action.quarantine_key}`,
+  };
+}
+
+/**
+ * Detectors to redact with: those named by the action, with composite
+ * findings such as AWS_CREDENTIAL_PAIR standing for their components
+ */
+function redactionDetectors(names) {
+  const expanded = names.flatMap((name) => {
+    const pair = CREDENTIAL_PAIRS.find((candidate) => candidate.name === name);
+    return pair ? [pair.id, pair.secret] : [name];
+  });
+  return [...new Set(expanded)].map(getDetector).filter(Boolean);
+}
+
+/**
+ * Replace every match of the detectors with its masked form
+ * @param {string} text - Text to redact
+ * @param {object[]} detectors - Registered detector definitions
+ * @returns {{text: string, count: number}} Redacted text and the number of
+ *   matches replaced
+ */
+function redactText(text, detectors) {
+  const matches = detectors.flatMap((detector) =>
+    findMatches(text, detector).map((match) => ({
+      start: match.index,
+      end: match.index + match.value.length,
+      replacement: detector.mask(match.value),
+    }))
+  );
+  // Where matches overlap, the earliest and then longest one is replaced
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let redacted = "";
+  let position = 0;
+  let count = 0;
+  for (const match of matches) {
+    if (match.start < position) {
+      continue;
+    }
+    redacted += text.slice(position, match.start) + match.replacement;
+    position = match.end;
+    count++;
+  }
+
+  return { text: redacted + text.slice(position), count };
+}
+
+/**
+ * Tags, encryption and storage class of the original, for the redacted
+ * object written in its place. A retried action reads them from the
+ * version it overwrote rather than from the quarantine copy, which has
+ * those of the quarantine bucket.
+ * @param {object} action - remediation_actions row
+ * @param {object} head - HeadObject response for the object read
+ */
+async function originalAttributes(action, head) {
+  const original = action.quarantine_key
+    ? await send(
+        new HeadObjectCommand({
+          Bucket: action.bucket,
+          Key: action.key,
+          VersionId: action.source_version_id,
+        })
+      )
+    : head;
+
+  let tagging;
+  if (original.TagCount > 0) {
+    const tags = await send(
+      new GetObjectTaggingCommand({
+        Bucket: action.bucket,
+        Key: action.key,
+        VersionId: original.VersionId,
+      })
+    );
+    tagging = new URLSearchParams(
+      tags.TagSet.map((tag) => [tag.Key, tag.Value])
+    ).toString();
+  }
+
+  return {
+    Tagging: tagging,
+    ServerSideEncryption: original.ServerSideEncryption,
+    SSEKMSKeyId: original.SSEKMSKeyId,
+    BucketKeyEnabled: original.BucketKeyEnabled,
+    StorageClass: original.StorageClass,
+  };
+}
+
+async function applyRedaction(action) {
+  const detectors = redactionDetectors(action.detectors);
+  if (detectors.length === 0) {
+    throw new RemediationError(
+      `None of the detectors ${action.detectors.join(", ")} exist any more`
+    );
+  }
+
+  // A retried action redacts the copy kept by the earlier attempt
+  const source = action.quarantine_key
+    ? { Bucket: action.quarantine_bucket, Key: action.quarantine_key }
+    : { Bucket: action.bucket, Key: action.key };
+  const head = action.quarantine_key
+    ? await send(new HeadObjectCommand(source))
+    : await headScanned(action);
+  if (head.ContentLength > REDACT_MAX_BYTES) {
+    throw new RemediationError(
+      `Object is ${head.ContentLength} bytes; only objects up to ${REDACT_MAX_BYTES} bytes are redacted`
+    );
+  }
+
+  const response = await send(
+    new GetObjectCommand({
+      ...source,
+      VersionId: head.VersionId,
+      IfMatch: head.ETag,
+    })
+  );
+  const content = await sniffStream(response.Body, action.key);
+  if (content.type !== "text" || !ENCODERS[content.encoding]) {
+    content.stream.destroy();
+    throw new RemediationError(
+      `Only UTF-8 and UTF-16 text can be redacted, not ${
+        content.encoding || content.type
+      }`
+    );
+  }
+
+  const original = await readBody(content.stream);
+  // TextDecoder drops the byte order mark; it is written back as it was
+  const text = new TextDecoder(content.encoding).decode(original);
+  const redacted = redactText(text, detectors);
+  if (redacted.count === 0) {
+    return { note: "No matches found; object left unchanged" };
+  }
+
+  const attributes = await originalAttributes(action, head);
+  await keepOriginal(action, head);
+  const written = await send(
+    new PutObjectCommand({
+      Bucket: action.bucket,
+      Key: action.key,
+      Body: Buffer.concat([
+        original.subarray(0, content.bomLength),
+        ENCODERS[content.encoding](redacted.text),
+      ]),
+      ContentType: head.ContentType,
+      ContentDisposition: head.ContentDisposition,
+      ContentLanguage: head.ContentLanguage,
+      CacheControl: head.CacheControl,
+      Metadata: head.Metadata,
+      ...attributes,
+    })
+  );
+
+  return {
+    redacted_etag: written.ETag.replace(/"/g, ""),
+    note: `Replaced ${redacted.count} match(es) with masked values`,
+  };
+}
+
+async function applyAcl(action) {
+  if (!action.previous_acl) {
+    const acl = await send(
+      new GetObjectAclCommand({ Bucket: action.bucket, Key: action.key })
+    );
+    action.previous_acl = { Owner: acl.Owner, Grants: acl.Grants };
+    await updateRemediationAction(action.action_id, action.status, {
+      previous_acl: action.previous_acl,
+    });
+  }
+
+  await send(
+    new PutObjectAclCommand({
+      Bucket: action.bucket,
+      Key: action.key,
+      ACL: "private",
+    })
+  );
+
+  return { note: "Object ACL set to private" };
+}
+
+async function revertAcl(action) {
+  await send(
+    new PutObjectAclCommand({
+      Bucket: action.bucket,
+      Key: action.key,
+      AccessControlPolicy: action.previous_acl,
+    })
+  );
+
+  return { note: "Previous object ACL restored" };
+}
+
+async function getBucketPolicy(bucket) {
+  try {
+    const response = await send(new GetBucketPolicyCommand({ Bucket: bucket }));
+    const policy = JSON.parse(response.Policy);
+    return { ...policy, Statement: [].concat(policy.Statement || []) };
+  } catch (error) {
+    if (error.name === "NoSuchBucketPolicy") {
+      return { Version: "2012-10-17", Statement: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * ARN of one object for a policy statement. `*`, `?` and `$` in the key
+ * are written as policy variables so they are not read as wildcards.
+ */
+function objectArn(bucket, key) {
+  const escaped = key.replace(/[*?$]/g, (char) => `\${${char}}`);
+  return `arn:aws:s3:::${bucket}/${escaped}`;
+}
+
+function denyStatement(sid) {
+  const statement = {
+    Sid: sid,
+    Effect: "Deny",
+    Principal: "*",
+    Action: ["s3:GetObject", "s3:GetObjectVersion"],
+    Resource: [],
+  };
+  if (EXEMPT_PRINCIPALS.length > 0) {
+    statement.Condition = {
+      ArnNotLike: { "aws:PrincipalArn": EXEMPT_PRINCIPALS },
+    };
+  }
+  return statement;
+}
+
+async function putBucketPolicy(bucket, policy) {
+  if (policy.Statement.length === 0) {
+    await send(new DeleteBucketPolicyCommand({ Bucket: bucket }));
+    return;
+  }
+
+  const document = JSON.stringify(policy);
+  if (Buffer.byteLength(document) > MAX_BUCKET_POLICY_BYTES) {
+    throw new RemediationError(
+      `The bucket policy would exceed the ${MAX_BUCKET_POLICY_BYTES} byte limit; remediate this object with another action`
+    );
+  }
+  await send(new PutBucketPolicyCommand({ Bucket: bucket, Policy: document }));
+}
+
+async function applyDeny(action) {
+  // One statement per job lists all the objects it denies, so that the
+  // policy stays under its size limit for as long as possible
+  const sid = `ScannerDeny${action.job_id.replace(/-/g, "")}`;
+  const arn = objectArn(action.bucket, action.key);
+
+  await withBucketPolicyLock(action.bucket, async () => {
+    const policy = await getBucketPolicy(action.bucket);
+    let statement = policy.Statement.find((candidate) => candidate.Sid === sid);
+    if (!statement) {
+      statement = denyStatement(sid);
+      policy.Statement.push(statement);
+    }
+
+    const resources = [].concat(statement.Resource);
+    if (resources.includes(arn)) {
+      return;
+    }
+    statement.Resource = [...resources, arn];
+    await putBucketPolicy(action.bucket, policy);
+  });
+
+  return {
+    policy_sid: sid,
+    note: `Bucket policy statement ${sid} denies reads of the object`,
+  };
+}
+
+async function revertDeny(action) {
+  const arn = objectArn(action.bucket, action.key);
+
+  await withBucketPolicyLock(action.bucket, async () => {
+    const policy = await getBucketPolicy(action.bucket);
+    const statement = policy.Statement.find(
+      (candidate) => candidate.Sid === action.policy_sid
+    );
+    const resources = [].concat(statement?.Resource || []);
+    if (!resources.includes(arn)) {
+      return;
+    }
+
+    statement.Resource = resources.filter((resource) => resource !== arn);
+    if (statement.Resource.length === 0) {
+      policy.Statement = policy.Statement.filter(
+        (candidate) => candidate !== statement
+      );
+    }
+    await putBucketPolicy(action.bucket, policy);
+  });
+
+  return {
+    note: `Object removed from bucket policy statement ${action.policy_sid}`,
+  };
+}
+
+const ACTIONS = {
+  quarantine: { apply: applyQuarantine, revert: restoreOriginal },
+  redact: { apply: applyRedaction, revert: restoreOriginal },
+  acl: { apply: applyAcl, revert: revertAcl },
+  deny: { apply: applyDeny, revert: revertDeny },
+};
+
+/**
+ * Carry out a remediation action on its object. Each step records what is
+ * needed to undo it before moving on, so a retried action resumes safely.
+ * @param {object} action - remediation_actions row
+ * @returns {Promise<object>} Details to record with the applied action
+ */
+async function applyRemediation(action) {
+  return ACTIONS[action.action].apply(action);
+}
+
+/**
+ * Undo an applied remediation action
+ * @param {object} action - remediation_actions row
+ * @returns {Promise<object>} Details to record with the reverted action
+ */
+async function revertRemediation(action) {
+  return ACTIONS[action.action].revert(action);
+}
+
+module.exports = {
+  applyRemediation,
+  revertRemediation,
+  redactText,
+  objectArn,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const { listDetectors } = require("./detectors");
+const { CREDENTIAL_PAIRS } = require("./correlation");
+const { recordRuleset } = require("./db");
+const { version: SCANNER_VERSION } = require("../package.json");
+
+// Detectors the cached versions were computed from, to notice when custom
+// detectors are loaded, changed or removed
+let cachedDetectors = [];
+let cachedVersion = null;
+let cachedDetectorVersions = null;
+// ruleset version -> promise of recording it, shared by concurrent scans
+const recorded = new Map();
+
+// Regexes and functions have no JSON form of their own. A function is
+// described by its name and the parameters it was built with or is tuned
+// by, declared as its `params`, rather than by its source, which closures
+// built with different arguments share; changes to the code of built-in
+// functions come with a new scanner version.
+function describeValue(key, value) {
+  if (value instanceof RegExp) {
+    return `/${value.source}/${value.flags}`;
+  }
+  if (typeof value === "function") {
+    return value.params === undefined ? value.name : [value.name, value.params];
+  }
+  return value;
+}
+
+function hash(value) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(value, describeValue))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Hash of each registered detector definition with the scanner version and
+ * the credential pairs it is a component of. Objects are only out of date
+ * for the detectors whose hash changed, so adding or changing one detector
+ * does not mark every scanned object for rescanning.
+ * @param {object[]} detectors - Registered detector definitions
+ * @returns {Object<string, string>} Detector name to 16 hex characters
+ */
+function computeDetectorVersions(detectors) {
+  const versions = {};
+  for (const detector of detectors) {
+    versions[detector.name] = hash({
+      scannerVersion: SCANNER_VERSION,
+      detector,
+      credentialPairs: CREDENTIAL_PAIRS.filter(
+        (pair) => pair.id === detector.name || pair.secret === detector.name
+      ),
+    });
+  }
+  return versions;
+}
+
+/**
+ * Hash of the detector versions. Findings and scanned objects are stamped
+ * with it, and the rulesets table maps it back to the detector versions.
+ * @param {Object<string, string>} detectorVersions - From
+ *   computeDetectorVersions
+ * @returns {string} 16 hex characters
+ */
+function computeRulesetVersion(detectorVersions) {
+  return hash(
+    Object.keys(detectorVersions)
+      .sort()
+      .map((name) => [name, detectorVersions[name]])
+  );
+}
+
+/**
+ * The version of the detectors currently registered, recorded in the
+ * database the first time it is seen
+ * @returns {Promise<string>}
+ */
+async function currentRulesetVersion() {
+  const detectors = listDetectors();
+  const unchanged =
+    detectors.length === cachedDetectors.length &&
+    detectors.every((detector, index) => detector === cachedDetectors[index]);
+
+  if (!unchanged) {
+    cachedDetectors = detectors;
+    cachedDetectorVersions = computeDetectorVersions(detectors);
+    cachedVersion = computeRulesetVersion(cachedDetectorVersions);
+  }
+
+  const version = cachedVersion;
+  if (!recorded.has(version)) {
+    const recording = recordRuleset(
+      version,
+      SCANNER_VERSION,
+      cachedDetectorVersions
+    ).then(
+      () => console.log(`Ruleset version ${version}`),
+      (error) => {
+        recorded.delete(version);
+        throw error;
+      }
+    );
+    recorded.set(version, recording);
+  }
+
+  await recorded.get(version);
+  return version;
+}
+
+module.exports = {
+  computeDetectorVersions,
+  computeRulesetVersion,
+  currentRulesetVersion,
+};
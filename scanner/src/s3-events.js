@@ -0,0 +1,63 @@
+// S3 event notifications, delivered to the queue by S3 itself or through an
+// EventBridge rule, alongside the { job_id, bucket, key, etag } messages of
+// scan jobs
+
+/**
+ * Whether a message body is an S3 event rather than a scan job message
+ * @param {object} body - Parsed message body
+ */
+function isS3Event(body) {
+  return (
+    Array.isArray(body.Records) ||
+    body.Event === "s3:TestEvent" ||
+    body.source === "aws.s3"
+  );
+}
+
+// Keys in S3 notifications are URL-encoded, with spaces as "+"
+function decodeKey(key) {
+  return decodeURIComponent(key.replace(/\+/g, " "));
+}
+
+/**
+ * The objects created according to an S3 event. Test events and events
+ * other than object creation yield none.
+ * @param {object} body - Parsed message body
+ * @returns {Array<{bucket: string, key: string, etag: string, size: number}>}
+ */
+function parseS3Event(body) {
+  // EventBridge: one event per message
+  if (body.source === "aws.s3") {
+    if (body["detail-type"] !== "Object Created") {
+      return [];
+    }
+    const { bucket, object } = body.detail;
+    return [
+      {
+        bucket: bucket.name,
+        key: object.key,
+        etag: object.etag,
+        size: object.size,
+      },
+    ];
+  }
+
+  // S3 notification: one or more records
+  return (body.Records || [])
+    .filter(
+      (record) =>
+        record.eventSource === "aws:s3" &&
+        record.eventName.startsWith("ObjectCreated:")
+    )
+    .map((record) => ({
+      bucket: record.s3.bucket.name,
+      key: decodeKey(record.s3.object.key),
+      etag: record.s3.object.eTag,
+      size: record.s3.object.size,
+    }));
+}
+
+module.exports = {
+  isS3Event,
+  parseS3Event,
+};
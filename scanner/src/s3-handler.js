@@ -3,63 +3,152 @@ const {
   GetObjectCommand,
   HeadObjectCommand,
 } = require("@aws-sdk/client-s3");
+const { FileTooLargeError } = require("./errors");
 
 const s3Client = new S3Client({
   region: process.env.AWS_REGION || "us-east-1",
 });
 
-const SUPPORTED_EXTENSIONS = [".txt", ".csv", ".json", ".log"];
-const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const SUPPORTED_EXTENSIONS = [
+  ".txt",
+  ".csv",
+  ".json",
+  ".jsonl",
+  ".ndjson",
+  ".log",
+];
+// Documents whose text is extracted before scanning
+const DOCUMENT_EXTENSIONS = [".pdf", ".docx", ".xlsx", ".pptx"];
+// Binary record formats that are decoded and scanned field by field
+const RECORD_EXTENSIONS = [".parquet", ".avro"];
 
-function isSupportedFileType(key) {
-  const extension = key.slice(key.lastIndexOf(".")).toLowerCase();
-  return SUPPORTED_EXTENSIONS.includes(extension);
+// Objects larger than MAX_SCAN_BYTES are handled according to OVERSIZE_POLICY:
+//   truncate - scan only the first MAX_SCAN_BYTES bytes (default)
+//   skip     - do not scan, mark the object as skipped
+//   fail     - mark the object as failed
+const OVERSIZE_POLICIES = ["truncate", "skip", "fail"];
+const MAX_SCAN_BYTES = parseInt(
+  process.env.MAX_SCAN_BYTES || String(5 * 1024 * 1024 * 1024)
+);
+const OVERSIZE_POLICY = OVERSIZE_POLICIES.includes(process.env.OVERSIZE_POLICY)
+  ? process.env.OVERSIZE_POLICY
+  : "truncate";
+
+/**
+ * Classify an object or archive entry by name. What is scanned is decided
+ * from the content (see content-sniffer.js); the name tells apart formats
+ * that share a container, such as .docx and .zip.
+ * @param {string} name - S3 key or path inside an archive
+ * @returns {string|null} "text", "gzip", "tar", "tgz", "zip", a document
+ *   format ("pdf", "docx", "xlsx", "pptx"), a record format ("parquet",
+ *   "avro"), or null when the file type is not supported
+ */
+function getFileKind(name) {
+  const lowerName = name.toLowerCase();
+
+  if (lowerName.endsWith(".tar.gz") || lowerName.endsWith(".tgz")) {
+    return "tgz";
+  }
+  if (lowerName.endsWith(".gz")) {
+    return "gzip";
+  }
+  if (lowerName.endsWith(".tar")) {
+    return "tar";
+  }
+  if (lowerName.endsWith(".zip")) {
+    return "zip";
+  }
+
+  const extension = lowerName.slice(lowerName.lastIndexOf("."));
+  if (
+    DOCUMENT_EXTENSIONS.includes(extension) ||
+    RECORD_EXTENSIONS.includes(extension)
+  ) {
+    return extension.slice(1);
+  }
+  return SUPPORTED_EXTENSIONS.includes(extension) ? "text" : null;
+}
+
+function isArchive(name) {
+  return ["gzip", "tar", "tgz", "zip"].includes(getFileKind(name));
+}
+
+function isDocument(name) {
+  const kind = getFileKind(name);
+  return kind !== null && DOCUMENT_EXTENSIONS.includes(`.${kind}`);
 }
 
-async function downloadS3Object(bucket, key) {
+function isRecordFile(name) {
+  const kind = getFileKind(name);
+  return kind !== null && RECORD_EXTENSIONS.includes(`.${kind}`);
+}
+
+function getSizeAction(contentLength) {
+  if (!MAX_SCAN_BYTES || contentLength <= MAX_SCAN_BYTES) {
+    return "scan";
+  }
+  return OVERSIZE_POLICY;
+}
+
+/**
+ * Open an S3 object for streaming, applying the oversize policy
+ * @param {string} bucket - S3 bucket
+ * @param {string} key - S3 key
+ * @returns {Promise<object>} `{ body, etag, versionId, contentType,
+ *   contentLength, scanBytes, truncated }`, or `{ skipped: true, reason,
+ *   etag }` when the policy says not to scan the object
+ */
+async function openS3Object(bucket, key) {
   try {
     const headCommand = new HeadObjectCommand({ Bucket: bucket, Key: key });
     const headResponse = await s3Client.send(headCommand);
 
     const contentLength = headResponse.ContentLength;
-    if (contentLength > MAX_FILE_SIZE) {
-      throw new Error(
-        `File size (${contentLength} bytes) exceeds maximum allowed size (${MAX_FILE_SIZE} bytes)`
+    const headEtag = headResponse.ETag?.replace(/"/g, "");
+    const sizeAction = getSizeAction(contentLength);
+
+    if (sizeAction === "fail") {
+      throw new FileTooLargeError(
+        `File size (${contentLength} bytes) exceeds maximum allowed size (${MAX_SCAN_BYTES} bytes)`
       );
     }
 
-    const getCommand = new GetObjectCommand({ Bucket: bucket, Key: key });
-    const response = await s3Client.send(getCommand);
+    if (sizeAction === "skip") {
+      return {
+        skipped: true,
+        reason: `File size (${contentLength} bytes) exceeds ${MAX_SCAN_BYTES} bytes - skipped`,
+        etag: headEtag,
+        contentLength,
+      };
+    }
 
-    const content = await streamToString(response.Body);
+    const truncated = sizeAction === "truncate";
+    const getCommand = new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      IfMatch: headResponse.ETag,
+      Range: truncated ? `bytes=0-${MAX_SCAN_BYTES - 1}` : undefined,
+    });
+    const response = await s3Client.send(getCommand);
 
     return {
-      content,
-      etag:
-        response.ETag?.replace(/"/g, "") ||
-        headResponse.ETag?.replace(/"/g, ""),
+      body: response.Body,
+      etag: response.ETag?.replace(/"/g, "") || headEtag,
+      versionId: response.VersionId,
       contentType: response.ContentType,
-      contentLength: contentLength,
+      contentLength,
+      scanBytes: truncated ? MAX_SCAN_BYTES : contentLength,
+      truncated,
     };
   } catch (error) {
     console.error(
-      `Error downloading S3 object s3://${bucket}/${key}:`,
+      `Error opening S3 object s3://${bucket}/${key}:`,
       error.message
     );
     throw error;
   }
 }
 
-async function streamToString(stream) {
-  const chunks = [];
-
-  return new Promise((resolve, reject) => {
-    stream.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
-    stream.on("error", (err) => reject(err));
-    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
-  });
-}
-
 async function getS3ObjectMetadata(bucket, key) {
   try {
     const command = new HeadObjectCommand({ Bucket: bucket, Key: key });
@@ -81,9 +170,15 @@ async function getS3ObjectMetadata(bucket, key) {
 }
 
 module.exports = {
-  downloadS3Object,
+  openS3Object,
   getS3ObjectMetadata,
-  isSupportedFileType,
+  getFileKind,
+  isArchive,
+  isDocument,
+  isRecordFile,
   SUPPORTED_EXTENSIONS,
-  MAX_FILE_SIZE,
+  DOCUMENT_EXTENSIONS,
+  RECORD_EXTENSIONS,
+  MAX_SCAN_BYTES,
+  OVERSIZE_POLICY,
 };
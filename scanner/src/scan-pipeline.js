@@ -0,0 +1,214 @@
+const path = require("path");
+const { Readable } = require("stream");
+const { sniffStream } = require("./content-sniffer");
+const { extractDocument } = require("./extractors");
+const { RECORD_READERS } = require("./records");
+const { ExtractionError } = require("./errors");
+const { scanStream } = require("./stream-scanner");
+const { scanRecords } = require("./record-scanner");
+const {
+  createArchiveLimits,
+  checkDepth,
+  gunzip,
+  forEachTarEntry,
+  forEachZipEntry,
+} = require("./archives");
+
+// Separates the path of a nested archive from the entries inside it,
+// e.g. exports/data.zip!/users.csv
+const NESTED_ARCHIVE_SEPARATOR = "!/";
+
+function joinEntryPath(parentPath, name) {
+  return parentPath === null
+    ? name
+    : `${parentPath}${NESTED_ARCHIVE_SEPARATOR}${name}`;
+}
+
+async function drain(stream) {
+  for await (const chunk of stream) {
+    // discard
+  }
+}
+
+/**
+ * Run a scan of a file that has to be decoded first. One file that cannot
+ * be decoded should not stop the rest of an archive, so inside archives the
+ * failure is recorded and scanning moves on.
+ */
+async function withExtractionErrors(stream, entryPath, ctx, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    if (error instanceof ExtractionError && entryPath !== null) {
+      ctx.stats.extractionErrors.push({ entryPath, error });
+      stream.resume();
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Scan one stream, unpacking it first if it is an archive. The handler is
+ * chosen from the stream's content (see sniffStream).
+ * @param {Readable} source - Data to scan
+ * @param {object} node - Where the stream sits in the object
+ * @param {string} node.name - File name
+ * @param {string|null} node.entryPath - Path inside the top-level archive,
+ *   or null for the top-level object itself
+ * @param {number} node.depth - Number of archive layers above this stream
+ * @param {object} [node.content] - Result of sniffStream(source), when the
+ *   caller has already sniffed it
+ * @param {object} ctx - Scan options, limits and running stats
+ */
+async function scanNode(source, node, ctx) {
+  const { name, entryPath, depth } = node;
+  const content = node.content || (await sniffStream(source, name));
+  const { stream, kind } = content;
+
+  const scanEntries = (forEachEntry, archiveStream) =>
+    forEachEntry(archiveStream, ctx.limits, (entryName, entryStream) =>
+      scanNode(
+        entryStream,
+        {
+          name: entryName,
+          entryPath: joinEntryPath(entryPath, entryName),
+          depth: depth + 1,
+        },
+        ctx
+      )
+    );
+
+  switch (kind) {
+    case "text": {
+      const stats = await scanStream(stream, {
+        ...ctx.scanOptions,
+        name,
+        entryPath,
+        encoding: content.encoding,
+        bomLength: content.bomLength,
+      });
+      ctx.stats.bytes += stats.bytes;
+      ctx.stats.windows += stats.windows;
+      ctx.stats.findings += stats.findings;
+      ctx.stats.scannedEntries += entryPath === null ? 0 : 1;
+      return;
+    }
+
+    case "gzip": {
+      checkDepth(ctx.limits, depth + 1, name);
+      // app.log.gz holds app.log; offsets refer to the decompressed data
+      const baseName = path.basename(name);
+      const innerName = baseName.toLowerCase().endsWith(".gz")
+        ? baseName.slice(0, -".gz".length)
+        : baseName;
+      return scanNode(
+        gunzip(stream, ctx.limits),
+        {
+          name: innerName,
+          entryPath: joinEntryPath(entryPath, innerName),
+          depth: depth + 1,
+        },
+        ctx
+      );
+    }
+
+    case "tgz":
+      checkDepth(ctx.limits, depth + 1, name);
+      return scanEntries(forEachTarEntry, gunzip(stream, ctx.limits));
+
+    case "tar":
+      checkDepth(ctx.limits, depth + 1, name);
+      return scanEntries(forEachTarEntry, stream);
+
+    case "zip":
+      checkDepth(ctx.limits, depth + 1, name);
+      return scanEntries(forEachZipEntry, stream);
+
+    case "pdf":
+    case "docx":
+    case "xlsx":
+    case "pptx":
+      return withExtractionErrors(stream, entryPath, ctx, async () => {
+        const document = await extractDocument(kind, stream);
+        const stats = await scanStream(Readable.from([document.text]), {
+          ...ctx.scanOptions,
+          name,
+          entryPath,
+          locate: document.locate,
+        });
+        ctx.stats.windows += stats.windows;
+        ctx.stats.findings += stats.findings;
+        ctx.stats.scannedEntries += entryPath === null ? 0 : 1;
+      });
+
+    case "parquet":
+    case "avro":
+      return withExtractionErrors(stream, entryPath, ctx, async () => {
+        const stats = await scanRecords(RECORD_READERS[kind], stream, {
+          ...ctx.scanOptions,
+          entryPath,
+        });
+        ctx.stats.records += stats.records;
+        ctx.stats.findings += stats.findings;
+        ctx.stats.scannedEntries += entryPath === null ? 0 : 1;
+      });
+
+    default:
+      ctx.stats.skippedEntries++;
+      console.log(
+        `Skipping unsupported archive entry: ${entryPath} (${content.type})`
+      );
+      return drain(stream);
+  }
+}
+
+/**
+ * Scan an S3 object body, unpacking gzip, tar, tar.gz and zip archives,
+ * extracting the text of PDF and Office documents and decoding Parquet and
+ * Avro records
+ * @param {Readable} body - Object body
+ * @param {object} options
+ * @param {string} options.key - S3 key
+ * @param {number} options.contentLength - Object size, used for the
+ *   expansion ratio limit
+ * @param {object} [options.content] - Result of sniffStream(body)
+ * @param {object} options.scanOptions - Options passed to scanStream for
+ *   every scanned file (bucket, key, etag, jobId, detectors, onFindings)
+ * @returns {Promise<object>} Aggregated scan stats. Files inside archives
+ *   that could not be extracted or decoded are listed in `extractionErrors`
+ *   instead of failing the whole object.
+ */
+async function scanObject(body, options) {
+  const ctx = {
+    limits: createArchiveLimits(options.contentLength || 0),
+    scanOptions: options.scanOptions,
+    stats: {
+      bytes: 0,
+      windows: 0,
+      records: 0,
+      findings: 0,
+      scannedEntries: 0,
+      skippedEntries: 0,
+      extractionErrors: [],
+    },
+  };
+
+  await scanNode(
+    body,
+    {
+      name: options.key,
+      entryPath: null,
+      depth: 0,
+      content: options.content,
+    },
+    ctx
+  );
+
+  return ctx.stats;
+}
+
+module.exports = {
+  scanObject,
+  NESTED_ARCHIVE_SEPARATOR,
+};
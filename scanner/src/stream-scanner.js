@@ -0,0 +1,148 @@
+const { scanContent, applyFieldContext } = require("./detectors");
+const { createLocator } = require("./locations");
+const { createCorrelator } = require("./correlation");
+
+// Window sizes are in characters of decoded text. The overlap must be longer
+// than the longest match plus its context so that a match straddling a
+// window boundary is always seen whole by exactly one window.
+const WINDOW_SIZE = parseInt(process.env.SCAN_WINDOW_SIZE || "8388608"); // 8M
+const WINDOW_OVERLAP = parseInt(process.env.SCAN_WINDOW_OVERLAP || "8192");
+
+/**
+ * Scan a readable stream for sensitive data in bounded memory
+ *
+ * Text is decoded incrementally and scanned in overlapping windows. Each
+ * window only reports matches that start inside the range it owns, so
+ * matches in the overlap are neither lost nor reported twice. Character
+ * offsets are translated into byte offsets, line and column numbers and,
+ * for structured files, logical locations within the whole object. Credential
+ * components found together are then paired (see correlation.js).
+ *
+ * @param {Readable} stream - Object body
+ * @param {object} options
+ * @param {string} options.bucket - S3 bucket
+ * @param {string} options.key - S3 key
+ * @param {string} [options.name] - File name used to detect structured
+ *   formats; defaults to the key
+ * @param {string|null} [options.entryPath] - Path inside an archive, for
+ *   streams unpacked from one
+ * @param {string} [options.encoding] - Character encoding of the stream
+ *   (default utf-8)
+ * @param {number} [options.bomLength] - Length of the byte order mark at
+ *   the start of the stream, which is not decoded as text
+ * @param {Function} [options.locate] - For text extracted from documents:
+ *   maps a character offset to the page, slide, sheet or cell it came from.
+ *   Replaces line/column and structural locations.
+ * @param {string} options.etag - Object ETag
+ * @param {string} options.jobId - Scan job ID
+ * @param {object[]} options.detectors - Detectors to run
+ * @param {Function} options.onFindings - Async callback receiving the
+ *   findings of each window, awaited before more data is read
+ * @returns {Promise<{bytes: number, chars: number, windows: number, findings: number}>}
+ */
+async function scanStream(stream, options) {
+  const { bucket, key, etag, jobId, detectors, onFindings } = options;
+  const entryPath = options.entryPath || null;
+  const windowSize = options.windowSize || WINDOW_SIZE;
+  const overlap = options.overlap || WINDOW_OVERLAP;
+
+  // Context is read from up to this many characters before a match
+  const lookback = Math.max(0, ...detectors.map((d) => d.contextWindow));
+
+  if (overlap <= lookback) {
+    throw new Error(
+      `Window overlap (${overlap}) must exceed detector context window (${lookback})`
+    );
+  }
+  if (windowSize <= overlap + lookback) {
+    throw new Error(
+      `Window size (${windowSize}) must exceed overlap plus context (${
+        overlap + lookback
+      })`
+    );
+  }
+
+  // TextDecoder drops a leading byte order mark
+  const decoder = new TextDecoder(options.encoding || "utf-8");
+  const locator = createLocator(options.name || key, {
+    encoding: options.encoding,
+    bomLength: options.bomLength,
+  });
+  const correlate = createCorrelator(detectors);
+  const stats = { bytes: 0, chars: 0, windows: 0, findings: 0 };
+
+  let pending = "";
+  let pendingStart = 0; // absolute char offset of pending[0]
+  let ownedFrom = 0; // matches before this offset were already reported
+
+  async function scanWindow(isFinal) {
+    const windowEnd = pendingStart + pending.length;
+    const ownedTo = isFinal ? windowEnd : windowEnd - overlap;
+
+    const findings = scanContent(pending, bucket, key, etag, jobId, detectors)
+      .filter((finding) => {
+        finding.char_offset += pendingStart;
+        return (
+          finding.char_offset >= ownedFrom && finding.char_offset < ownedTo
+        );
+      })
+      .sort((a, b) => a.char_offset - b.char_offset);
+
+    for (const finding of findings) {
+      locator.advanceTo(pending, pendingStart, finding.char_offset);
+      Object.assign(finding, locator.position(), { entry_path: entryPath });
+
+      if (options.locate) {
+        finding.line_number = null;
+        finding.column_number = null;
+        finding.location = options.locate(finding.char_offset);
+      }
+
+      // A CSV header can be far from the value it names
+      if (finding.location && finding.location.column) {
+        applyFieldContext(finding, finding.location.column);
+      }
+    }
+    locator.advanceTo(pending, pendingStart, ownedTo);
+
+    if (correlate) {
+      findings.push(...correlate(findings));
+    }
+
+    stats.windows++;
+    stats.findings += findings.length;
+
+    if (findings.length > 0) {
+      await onFindings(findings);
+    }
+
+    ownedFrom = ownedTo;
+    const keepFrom = Math.max(0, ownedTo - lookback - pendingStart);
+    pending = pending.slice(keepFrom);
+    pendingStart += keepFrom;
+  }
+
+  for await (const chunk of stream) {
+    stats.bytes += chunk.length;
+    const text = decoder.decode(Buffer.from(chunk), { stream: true });
+    stats.chars += text.length;
+    pending += text;
+
+    if (pending.length >= windowSize) {
+      await scanWindow(false);
+    }
+  }
+
+  const rest = decoder.decode();
+  stats.chars += rest.length;
+  pending += rest;
+  await scanWindow(true);
+
+  return stats;
+}
+
+module.exports = {
+  scanStream,
+  WINDOW_SIZE,
+  WINDOW_OVERLAP,
+};
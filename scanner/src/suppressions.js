@@ -0,0 +1,178 @@
+const { getActiveSuppressionRules } = require("./db");
+const { CREDENTIAL_PAIRS } = require("./correlation");
+
+const REFRESH_INTERVAL_MS = parseInt(
+  process.env.SUPPRESSION_REFRESH_MS || "60000"
+);
+
+const COMPONENT_DETECTORS = new Set(
+  CREDENTIAL_PAIRS.flatMap((pair) => [pair.id, pair.secret])
+);
+
+let rules = [];
+let lastRefresh = 0;
+
+/**
+ * Translate a key glob into a regex: `*` matches within one path segment,
+ * `**` across segments and `?` a single character
+ */
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Turn a suppression_rules row into a matcher
+ * @param {object} row - suppression_rules row
+ * @returns {object|null} Rule, or null if the row is unusable
+ */
+function buildRule(row) {
+  let valuePattern = null;
+  if (row.value_pattern) {
+    try {
+      valuePattern = new RegExp(row.value_pattern);
+    } catch (error) {
+      console.error(
+        `Skipping suppression rule ${row.rule_id}: invalid value_pattern (${error.message})`
+      );
+      return null;
+    }
+  }
+
+  return {
+    ruleId: row.rule_id,
+    reason: row.reason,
+    bucket: row.bucket,
+    keyPattern: row.key_pattern ? globToRegExp(row.key_pattern) : null,
+    detector: row.detector,
+    valuePattern,
+    fingerprint: row.fingerprint,
+    expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+  };
+}
+
+function ruleMatches(rule, finding, now) {
+  return (
+    (rule.expiresAt === null || rule.expiresAt > now) &&
+    (!rule.bucket || rule.bucket === finding.bucket) &&
+    (!rule.keyPattern || rule.keyPattern.test(finding.key)) &&
+    (!rule.detector || rule.detector === finding.detector) &&
+    (!rule.valuePattern || rule.valuePattern.test(finding.masked_match)) &&
+    (!rule.fingerprint || rule.fingerprint === finding.fingerprint)
+  );
+}
+
+/**
+ * Reload the active suppression rules. Cached for SUPPRESSION_REFRESH_MS
+ * between reloads.
+ * @param {boolean} force - Reload even if the cache is fresh
+ */
+async function refreshSuppressionRules(force = false) {
+  if (!force && Date.now() - lastRefresh < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  rules = (await getActiveSuppressionRules()).map(buildRule).filter(Boolean);
+  lastRefresh = Date.now();
+}
+
+function componentKey(entryPath, component) {
+  return `${entryPath || ""}|${component.detector}|${component.byte_offset}`;
+}
+
+/**
+ * Tracks the matches suppressed while scanning one object
+ */
+class SuppressionTally {
+  constructor() {
+    this.counts = new Map(); // "ruleId detector" -> count
+    // Suppressed findings that can be a component of a composite finding,
+    // by componentKey, to the rule that suppressed them
+    this.suppressedComponents = new Map();
+  }
+
+  count(rule, finding) {
+    const tallyKey = `${rule.ruleId} ${finding.detector}`;
+    this.counts.set(tallyKey, (this.counts.get(tallyKey) || 0) + 1);
+  }
+
+  /**
+   * Remove findings covered by a suppression rule, counting them against
+   * the first rule that matched. A composite finding such as
+   * AWS_CREDENTIAL_PAIR is removed with any of its components, counted
+   * against the rule that removed the component. Composites follow their
+   * components, in the same batch or a later one.
+   * @param {object[]} findings - Findings from scanContent and correlation
+   * @returns {object[]} Findings to store
+   */
+  filter(findings) {
+    if (rules.length === 0) {
+      return findings;
+    }
+
+    const now = Date.now();
+    return findings.filter((finding) => {
+      let rule = null;
+      for (const component of finding.components || []) {
+        rule = this.suppressedComponents.get(
+          componentKey(finding.entry_path, component)
+        );
+        if (rule) {
+          break;
+        }
+      }
+      rule =
+        rule || rules.find((candidate) => ruleMatches(candidate, finding, now));
+      if (!rule) {
+        return true;
+      }
+
+      if (COMPONENT_DETECTORS.has(finding.detector)) {
+        this.suppressedComponents.set(
+          componentKey(finding.entry_path, finding),
+          rule
+        );
+      }
+      this.count(rule, finding);
+      return false;
+    });
+  }
+
+  get total() {
+    let total = 0;
+    for (const count of this.counts.values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  /**
+   * @returns {Array<{ruleId: string, detector: string, count: number}>}
+   */
+  toRows() {
+    return Array.from(this.counts, ([tallyKey, count]) => {
+      const [ruleId, detector] = tallyKey.split(" ");
+      return { ruleId, detector, count };
+    });
+  }
+}
+
+module.exports = {
+  globToRegExp,
+  buildRule,
+  refreshSuppressionRules,
+  SuppressionTally,
+};
@@ -0,0 +1,88 @@
+const MEMORY_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Runs tasks concurrently: at most `concurrency` at a time, and no new ones
+ * while the process uses more memory than `memoryHighWaterBytes`. Under
+ * memory pressure one task still runs, so the worker never stalls.
+ */
+class WorkerPool {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - Most tasks running at once
+   * @param {number|null} options.memoryHighWaterBytes - Resident set size
+   *   above which no new task starts, or null for no limit
+   */
+  constructor({ concurrency, memoryHighWaterBytes = null }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.memoryHighWaterBytes = memoryHighWaterBytes;
+    this.inFlight = new Set();
+  }
+
+  get size() {
+    return this.inFlight.size;
+  }
+
+  memoryAvailable() {
+    return (
+      !this.memoryHighWaterBytes ||
+      process.memoryUsage().rss < this.memoryHighWaterBytes
+    );
+  }
+
+  /**
+   * Wait until at least one more task can start
+   * @returns {Promise<number>} How many tasks can start now
+   */
+  async waitForCapacity() {
+    for (;;) {
+      if (this.inFlight.size === 0) {
+        return this.memoryAvailable() ? this.concurrency : 1;
+      }
+
+      if (this.inFlight.size < this.concurrency) {
+        if (this.memoryAvailable()) {
+          return this.concurrency - this.inFlight.size;
+        }
+        // Memory may be freed by garbage collection, not only by a task
+        // finishing
+        await Promise.race([
+          ...this.inFlight,
+          new Promise((resolve) =>
+            setTimeout(resolve, MEMORY_CHECK_INTERVAL_MS)
+          ),
+        ]);
+      } else {
+        await Promise.race(this.inFlight);
+      }
+    }
+  }
+
+  /**
+   * Start a task without waiting for it. Errors are logged, not thrown.
+   * @param {Function} task - Async function
+   */
+  run(task) {
+    const promise = Promise.resolve()
+      .then(task)
+      .catch((error) => {
+        console.error("Unhandled error in worker task:", error);
+      })
+      .finally(() => {
+        this.inFlight.delete(promise);
+      });
+    this.inFlight.add(promise);
+  }
+
+  /**
+   * Wait for every running task to finish
+   */
+  async drain() {
+    while (this.inFlight.size > 0) {
+      await Promise.all(this.inFlight);
+    }
+  }
+}
+
+module.exports = {
+  WorkerPool,
+};
@@ -5,7 +5,7 @@ resource "aws_apigatewayv2_api" "main" {
   
   cors_configuration {
     allow_origins = ["*"]
-    allow_methods = ["GET", "POST", "OPTIONS"]
+    allow_methods = ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
     allow_headers = ["content-type", "authorization"]
     max_age       = 300
   }
@@ -54,7 +54,7 @@ resource "aws_cloudwatch_log_group" "api_gateway" {
 # Lambda Integrations
 # ========================================
 
-# Integration: POST /scan
+# Integration: POST /scan, POST /rescan
 resource "aws_apigatewayv2_integration" "scan" {
   api_id             = aws_apigatewayv2_api.main.id
   integration_type   = "AWS_PROXY"
@@ -69,6 +69,12 @@ resource "aws_apigatewayv2_route" "scan" {
   target    = "integrations/${aws_apigatewayv2_integration.scan.id}"
 }
 
+resource "aws_apigatewayv2_route" "rescan" {
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = "POST /rescan"
+  target    = "integrations/${aws_apigatewayv2_integration.scan.id}"
+}
+
 resource "aws_lambda_permission" "scan" {
   statement_id  = "AllowAPIGatewayInvoke"
   action        = "lambda:InvokeFunction"
@@ -77,7 +83,7 @@ resource "aws_lambda_permission" "scan" {
   source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
 }
 
-# Integration: GET /results
+# Integration: GET /results, GET /results/columns
 resource "aws_apigatewayv2_integration" "results" {
   api_id             = aws_apigatewayv2_api.main.id
   integration_type   = "AWS_PROXY"
@@ -92,6 +98,12 @@ resource "aws_apigatewayv2_route" "results" {
   target    = "integrations/${aws_apigatewayv2_integration.results.id}"
 }
 
+resource "aws_apigatewayv2_route" "results_columns" {
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = "GET /results/columns"
+  target    = "integrations/${aws_apigatewayv2_integration.results.id}"
+}
+
 resource "aws_lambda_permission" "results" {
   statement_id  = "AllowAPIGatewayInvoke"
   action        = "lambda:InvokeFunction"
@@ -123,3 +135,151 @@ resource "aws_lambda_permission" "jobs" {
   source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
 }
 
+# Integration: /detectors (custom detector management)
+resource "aws_apigatewayv2_integration" "detectors" {
+  api_id             = aws_apigatewayv2_api.main.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.detectors.invoke_arn
+  integration_method = "POST"
+  payload_format_version = "2.0"
+}
+
+resource "aws_apigatewayv2_route" "detectors" {
+  for_each = toset([
+    "POST /detectors",
+    "GET /detectors",
+    "PUT /detectors/{detector_id}",
+    "DELETE /detectors/{detector_id}",
+  ])
+
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = each.value
+  target    = "integrations/${aws_apigatewayv2_integration.detectors.id}"
+}
+
+resource "aws_lambda_permission" "detectors" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.detectors.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
+}
+
+# Integration: /suppressions (suppression rules)
+resource "aws_apigatewayv2_integration" "suppressions" {
+  api_id             = aws_apigatewayv2_api.main.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.suppressions.invoke_arn
+  integration_method = "POST"
+  payload_format_version = "2.0"
+}
+
+resource "aws_apigatewayv2_route" "suppressions" {
+  for_each = toset([
+    "POST /suppressions",
+    "GET /suppressions",
+    "PUT /suppressions/{rule_id}",
+    "DELETE /suppressions/{rule_id}",
+  ])
+
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = each.value
+  target    = "integrations/${aws_apigatewayv2_integration.suppressions.id}"
+}
+
+resource "aws_lambda_permission" "suppressions" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.suppressions.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
+}
+
+# Integration: /fingerprints (finding fingerprints)
+resource "aws_apigatewayv2_integration" "fingerprints" {
+  api_id             = aws_apigatewayv2_api.main.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.fingerprints.invoke_arn
+  integration_method = "POST"
+  payload_format_version = "2.0"
+}
+
+resource "aws_apigatewayv2_route" "fingerprints" {
+  for_each = toset([
+    "GET /fingerprints/{fingerprint}",
+    "POST /fingerprints/{fingerprint}/resolve",
+  ])
+
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = each.value
+  target    = "integrations/${aws_apigatewayv2_integration.fingerprints.id}"
+}
+
+resource "aws_lambda_permission" "fingerprints" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.fingerprints.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
+}
+
+# Integration: remediation of a job's objects
+resource "aws_apigatewayv2_integration" "remediations" {
+  api_id             = aws_apigatewayv2_api.main.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.remediations.invoke_arn
+  integration_method = "POST"
+  payload_format_version = "2.0"
+}
+
+resource "aws_apigatewayv2_route" "remediations" {
+  for_each = toset([
+    "POST /jobs/{job_id}/remediate",
+    "GET /jobs/{job_id}/remediations",
+    "POST /remediations/{action_id}/revert",
+  ])
+
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = each.value
+  target    = "integrations/${aws_apigatewayv2_integration.remediations.id}"
+}
+
+resource "aws_lambda_permission" "remediations" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.remediations.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
+}
+
+# Integration: /schedules (scheduled recurring scans)
+resource "aws_apigatewayv2_integration" "schedules" {
+  api_id             = aws_apigatewayv2_api.main.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.schedules.invoke_arn
+  integration_method = "POST"
+  payload_format_version = "2.0"
+}
+
+resource "aws_apigatewayv2_route" "schedules" {
+  for_each = toset([
+    "POST /schedules",
+    "GET /schedules",
+    "POST /schedules/{schedule_id}/pause",
+    "POST /schedules/{schedule_id}/resume",
+    "DELETE /schedules/{schedule_id}",
+    "GET /schedules/{schedule_id}/runs",
+  ])
+
+  api_id    = aws_apigatewayv2_api.main.id
+  route_key = each.value
+  target    = "integrations/${aws_apigatewayv2_integration.schedules.id}"
+}
+
+resource "aws_lambda_permission" "schedules" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.schedules.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
+}
@@ -35,11 +35,24 @@ resource "aws_ecs_task_definition" "scanner" {
     image     = "${aws_ecr_repository.scanner.repository_url}:latest"
     essential = true
     
+    # Time to finish in-flight messages after SIGTERM
+    stopTimeout = 120
+    
     environment = [
       {
         name  = "SQS_QUEUE_URL"
         value = aws_sqs_queue.scan_jobs.url
       },
+      {
+        name  = "DLQ_URL"
+        value = aws_sqs_queue.dlq.url
+      },
+      {
+        # The worker dead-letters a message itself on its last attempt, so
+        # the object is marked dead_lettered; the redrive policy is a backstop
+        name  = "MAX_ATTEMPTS"
+        value = tostring(var.sqs_max_receive_count)
+      },
       {
         name  = "DB_SECRET_NAME"
         value = aws_secretsmanager_secret.db_credentials.name
@@ -47,6 +60,37 @@ resource "aws_ecs_task_definition" "scanner" {
       {
         name  = "DB_SSL"
         value = "true"
+      },
+      {
+        name  = "MAX_SCAN_BYTES"
+        value = tostring(var.scanner_max_scan_bytes)
+      },
+      {
+        name  = "OVERSIZE_POLICY"
+        value = var.scanner_oversize_policy
+      },
+      {
+        name  = "QUARANTINE_BUCKET"
+        value = aws_s3_bucket.quarantine.id
+      },
+      {
+        name  = "REMEDIATION_EXEMPT_PRINCIPALS"
+        value = aws_iam_role.ecs_task.arn
+      },
+      {
+        name  = "WORKER_CONCURRENCY"
+        value = tostring(var.scanner_concurrency)
+      },
+      {
+        name  = "WORKER_MEMORY_LIMIT_MB"
+        value = var.ecs_task_memory
+      }
+    ]
+    
+    secrets = [
+      {
+        name      = "FINGERPRINT_KEY"
+        valueFrom = aws_secretsmanager_secret.fingerprint_key.arn
       }
     ]
     
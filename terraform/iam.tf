@@ -35,7 +35,8 @@ resource "aws_iam_role_policy" "ecs_task_execution_secrets" {
           "secretsmanager:GetSecretValue"
         ]
         Resource = [
-          aws_secretsmanager_secret.db_credentials.arn
+          aws_secretsmanager_secret.db_credentials.arn,
+          aws_secretsmanager_secret.fingerprint_key.arn
         ]
       }
     ]
@@ -80,15 +81,61 @@ resource "aws_iam_role_policy" "ecs_task_policy" {
           "${aws_s3_bucket.scanner_files.arn}/*"
         ]
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:PutObject",
+          "s3:DeleteObject",
+          "s3:DeleteObjectVersion",
+          "s3:GetObjectAcl",
+          "s3:PutObjectAcl",
+          "s3:GetObjectTagging",
+          "s3:PutObjectTagging",
+          "s3:GetObjectVersionTagging",
+          "s3:PutObjectVersionTagging"
+        ]
+        Resource = "${aws_s3_bucket.scanner_files.arn}/*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetBucketPolicy",
+          "s3:PutBucketPolicy",
+          "s3:DeleteBucketPolicy"
+        ]
+        Resource = aws_s3_bucket.scanner_files.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:PutObject",
+          "s3:DeleteObject",
+          "s3:ListBucket"
+        ]
+        Resource = [
+          aws_s3_bucket.quarantine.arn,
+          "${aws_s3_bucket.quarantine.arn}/*"
+        ]
+      },
       {
         Effect = "Allow"
         Action = [
           "sqs:ReceiveMessage",
           "sqs:DeleteMessage",
-          "sqs:GetQueueAttributes"
+          "sqs:ChangeMessageVisibility",
+          "sqs:GetQueueAttributes",
+          "sqs:SendMessage"
         ]
         Resource = aws_sqs_queue.scan_jobs.arn
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:SendMessage"
+        ]
+        Resource = aws_sqs_queue.dlq.arn
+      },
       {
         Effect = "Allow"
         Action = [
@@ -150,6 +197,16 @@ resource "aws_iam_role_policy" "lambda_scan_policy" {
         ]
         Resource = aws_sqs_queue.scan_jobs.arn
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:SendMessage",
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:GetQueueAttributes"
+        ]
+        Resource = aws_sqs_queue.enumeration.arn
+      },
       {
         Effect = "Allow"
         Action = [
@@ -1,3 +1,10 @@
+locals {
+  api_shared_code_hash = md5(join("", [
+    for f in sort(fileset("${path.module}/../api/shared", "*.js")) :
+    filemd5("${path.module}/../api/shared/${f}")
+  ]))
+}
+
 resource "aws_cloudwatch_log_group" "lambda_scan" {
   name              = "/aws/lambda/${local.name_prefix}-scan"
   retention_in_days = 7
@@ -24,10 +31,66 @@ resource "aws_cloudwatch_log_group" "lambda_jobs" {
     Name = "${local.name_prefix}-jobs-logs"
   }
 }
+resource "aws_cloudwatch_log_group" "lambda_detectors" {
+  name              = "/aws/lambda/${local.name_prefix}-detectors"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-detectors-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_suppressions" {
+  name              = "/aws/lambda/${local.name_prefix}-suppressions"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-suppressions-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_fingerprints" {
+  name              = "/aws/lambda/${local.name_prefix}-fingerprints"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-fingerprints-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_remediations" {
+  name              = "/aws/lambda/${local.name_prefix}-remediations"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-remediations-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_schedules" {
+  name              = "/aws/lambda/${local.name_prefix}-schedules"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-schedules-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_scheduler" {
+  name              = "/aws/lambda/${local.name_prefix}-scheduler"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-scheduler-logs"
+  }
+}
+resource "aws_cloudwatch_log_group" "lambda_enumerator" {
+  name              = "/aws/lambda/${local.name_prefix}-enumerator"
+  retention_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-enumerator-logs"
+  }
+}
 resource "null_resource" "lambda_scan_package" {
   triggers = {
     scan_code   = filemd5("${path.module}/../api/scan/index.js")
-    shared_code = filemd5("${path.module}/../api/shared/db.js")
+    shared_code = local.api_shared_code_hash
   }
 
   provisioner "local-exec" {
@@ -38,7 +101,7 @@ resource "null_resource" "lambda_scan_package" {
       cp ${path.module}/../api/scan/index.js ${path.module}/.terraform/lambda-scan-build/
       cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-scan-build/
       mkdir -p ${path.module}/.terraform/lambda-scan-build/shared
-      cp ${path.module}/../api/shared/db.js ${path.module}/.terraform/lambda-scan-build/shared/
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-scan-build/shared/
       cd ${path.module}/.terraform/lambda-scan-build && npm install --production && zip -r ../lambda-scan.zip . -x "*.git*" > /dev/null
     EOT
   }
@@ -70,9 +133,10 @@ resource "aws_lambda_function" "scan" {
   
   environment {
     variables = {
-      SQS_QUEUE_URL   = aws_sqs_queue.scan_jobs.url
-      DB_SECRET_NAME  = aws_secretsmanager_secret.db_credentials.name
-      DB_SSL          = "true"
+      SQS_QUEUE_URL         = aws_sqs_queue.scan_jobs.url
+      ENUMERATION_QUEUE_URL = aws_sqs_queue.enumeration.url
+      DB_SECRET_NAME        = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL                = "true"
     }
   }
   
@@ -86,7 +150,7 @@ resource "aws_lambda_function" "scan" {
 resource "null_resource" "lambda_results_package" {
   triggers = {
     results_code = filemd5("${path.module}/../api/results/index.js")
-    shared_code  = filemd5("${path.module}/../api/shared/db.js")
+    shared_code  = local.api_shared_code_hash
   }
 
   provisioner "local-exec" {
@@ -97,7 +161,7 @@ resource "null_resource" "lambda_results_package" {
       cp ${path.module}/../api/results/index.js ${path.module}/.terraform/lambda-results-build/
       cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-results-build/
       mkdir -p ${path.module}/.terraform/lambda-results-build/shared
-      cp ${path.module}/../api/shared/db.js ${path.module}/.terraform/lambda-results-build/shared/
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-results-build/shared/
       cd ${path.module}/.terraform/lambda-results-build && npm install --production && zip -r ../lambda-results.zip . -x "*.git*" > /dev/null
     EOT
   }
@@ -144,7 +208,7 @@ resource "aws_lambda_function" "results" {
 resource "null_resource" "lambda_jobs_package" {
   triggers = {
     jobs_code   = filemd5("${path.module}/../api/jobs/index.js")
-    shared_code = filemd5("${path.module}/../api/shared/db.js")
+    shared_code = local.api_shared_code_hash
   }
 
   provisioner "local-exec" {
@@ -155,7 +219,7 @@ resource "null_resource" "lambda_jobs_package" {
       cp ${path.module}/../api/jobs/index.js ${path.module}/.terraform/lambda-jobs-build/
       cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-jobs-build/
       mkdir -p ${path.module}/.terraform/lambda-jobs-build/shared
-      cp ${path.module}/../api/shared/db.js ${path.module}/.terraform/lambda-jobs-build/shared/
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-jobs-build/shared/
       cd ${path.module}/.terraform/lambda-jobs-build && npm install --production && zip -r ../lambda-jobs.zip . -x "*.git*" > /dev/null
     EOT
   }
@@ -199,3 +263,452 @@ resource "aws_lambda_function" "jobs" {
   }
 }
 
+
+resource "null_resource" "lambda_detectors_package" {
+  triggers = {
+    detectors_code = filemd5("${path.module}/../api/detectors/index.js")
+    shared_code    = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-detectors-build
+      mkdir -p ${path.module}/.terraform/lambda-detectors-build
+      cp ${path.module}/../api/detectors/index.js ${path.module}/.terraform/lambda-detectors-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-detectors-build/
+      mkdir -p ${path.module}/.terraform/lambda-detectors-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-detectors-build/shared/
+      cd ${path.module}/.terraform/lambda-detectors-build && npm install --production && zip -r ../lambda-detectors.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_detectors" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-detectors-build"
+  output_path = "${path.module}/.terraform/lambda-detectors.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_detectors_package]
+}
+
+resource "aws_lambda_function" "detectors" {
+  filename         = data.archive_file.lambda_detectors.output_path
+  function_name    = "${local.name_prefix}-detectors"
+  role             = aws_iam_role.lambda_query.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_detectors.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      DB_SECRET_NAME = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL         = "true"
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_detectors]
+  
+  tags = {
+    Name = "${local.name_prefix}-detectors-lambda"
+  }
+}
+
+resource "null_resource" "lambda_suppressions_package" {
+  triggers = {
+    suppressions_code = filemd5("${path.module}/../api/suppressions/index.js")
+    shared_code       = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-suppressions-build
+      mkdir -p ${path.module}/.terraform/lambda-suppressions-build
+      cp ${path.module}/../api/suppressions/index.js ${path.module}/.terraform/lambda-suppressions-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-suppressions-build/
+      mkdir -p ${path.module}/.terraform/lambda-suppressions-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-suppressions-build/shared/
+      cd ${path.module}/.terraform/lambda-suppressions-build && npm install --production && zip -r ../lambda-suppressions.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_suppressions" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-suppressions-build"
+  output_path = "${path.module}/.terraform/lambda-suppressions.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_suppressions_package]
+}
+
+resource "aws_lambda_function" "suppressions" {
+  filename         = data.archive_file.lambda_suppressions.output_path
+  function_name    = "${local.name_prefix}-suppressions"
+  role             = aws_iam_role.lambda_query.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_suppressions.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      DB_SECRET_NAME = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL         = "true"
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_suppressions]
+  
+  tags = {
+    Name = "${local.name_prefix}-suppressions-lambda"
+  }
+}
+
+resource "null_resource" "lambda_fingerprints_package" {
+  triggers = {
+    fingerprints_code = filemd5("${path.module}/../api/fingerprints/index.js")
+    shared_code       = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-fingerprints-build
+      mkdir -p ${path.module}/.terraform/lambda-fingerprints-build
+      cp ${path.module}/../api/fingerprints/index.js ${path.module}/.terraform/lambda-fingerprints-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-fingerprints-build/
+      mkdir -p ${path.module}/.terraform/lambda-fingerprints-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-fingerprints-build/shared/
+      cd ${path.module}/.terraform/lambda-fingerprints-build && npm install --production && zip -r ../lambda-fingerprints.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_fingerprints" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-fingerprints-build"
+  output_path = "${path.module}/.terraform/lambda-fingerprints.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_fingerprints_package]
+}
+
+resource "aws_lambda_function" "fingerprints" {
+  filename         = data.archive_file.lambda_fingerprints.output_path
+  function_name    = "${local.name_prefix}-fingerprints"
+  role             = aws_iam_role.lambda_query.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_fingerprints.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      DB_SECRET_NAME = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL         = "true"
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_fingerprints]
+  
+  tags = {
+    Name = "${local.name_prefix}-fingerprints-lambda"
+  }
+}
+
+resource "null_resource" "lambda_remediations_package" {
+  triggers = {
+    remediations_code = filemd5("${path.module}/../api/remediations/index.js")
+    shared_code       = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-remediations-build
+      mkdir -p ${path.module}/.terraform/lambda-remediations-build
+      cp ${path.module}/../api/remediations/index.js ${path.module}/.terraform/lambda-remediations-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-remediations-build/
+      mkdir -p ${path.module}/.terraform/lambda-remediations-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-remediations-build/shared/
+      cd ${path.module}/.terraform/lambda-remediations-build && npm install --production && zip -r ../lambda-remediations.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_remediations" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-remediations-build"
+  output_path = "${path.module}/.terraform/lambda-remediations.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_remediations_package]
+}
+
+# Queues remediation actions for the worker, so it uses the scan role
+resource "aws_lambda_function" "remediations" {
+  filename         = data.archive_file.lambda_remediations.output_path
+  function_name    = "${local.name_prefix}-remediations"
+  role             = aws_iam_role.lambda_scan.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_remediations.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      SQS_QUEUE_URL  = aws_sqs_queue.scan_jobs.url
+      DB_SECRET_NAME = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL         = "true"
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_remediations]
+  
+  tags = {
+    Name = "${local.name_prefix}-remediations-lambda"
+  }
+}
+
+resource "null_resource" "lambda_schedules_package" {
+  triggers = {
+    schedules_code = filemd5("${path.module}/../api/schedules/index.js")
+    shared_code    = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-schedules-build
+      mkdir -p ${path.module}/.terraform/lambda-schedules-build
+      cp ${path.module}/../api/schedules/index.js ${path.module}/.terraform/lambda-schedules-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-schedules-build/
+      mkdir -p ${path.module}/.terraform/lambda-schedules-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-schedules-build/shared/
+      cd ${path.module}/.terraform/lambda-schedules-build && npm install --production && zip -r ../lambda-schedules.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_schedules" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-schedules-build"
+  output_path = "${path.module}/.terraform/lambda-schedules.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_schedules_package]
+}
+
+resource "aws_lambda_function" "schedules" {
+  filename         = data.archive_file.lambda_schedules.output_path
+  function_name    = "${local.name_prefix}-schedules"
+  role             = aws_iam_role.lambda_query.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_schedules.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      DB_SECRET_NAME = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL         = "true"
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_schedules]
+  
+  tags = {
+    Name = "${local.name_prefix}-schedules-lambda"
+  }
+}
+
+resource "null_resource" "lambda_scheduler_package" {
+  triggers = {
+    scheduler_code = filemd5("${path.module}/../api/scheduler/index.js")
+    shared_code    = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-scheduler-build
+      mkdir -p ${path.module}/.terraform/lambda-scheduler-build
+      cp ${path.module}/../api/scheduler/index.js ${path.module}/.terraform/lambda-scheduler-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-scheduler-build/
+      mkdir -p ${path.module}/.terraform/lambda-scheduler-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-scheduler-build/shared/
+      cd ${path.module}/.terraform/lambda-scheduler-build && npm install --production && zip -r ../lambda-scheduler.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_scheduler" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-scheduler-build"
+  output_path = "${path.module}/.terraform/lambda-scheduler.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_scheduler_package]
+}
+
+# Starts the jobs of due schedules like POST /scan, so it uses the scan role
+resource "aws_lambda_function" "scheduler" {
+  filename         = data.archive_file.lambda_scheduler.output_path
+  function_name    = "${local.name_prefix}-scheduler"
+  role             = aws_iam_role.lambda_scan.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_scheduler.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 60
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      ENUMERATION_QUEUE_URL     = aws_sqs_queue.enumeration.url
+      DB_SECRET_NAME            = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL                    = "true"
+      MISSED_RUN_GRACE_SECONDS  = tostring(var.schedule_missed_run_grace_seconds)
+      ENUMERATION_STALL_SECONDS = tostring(aws_sqs_queue.enumeration.visibility_timeout_seconds * 2)
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_scheduler]
+  
+  tags = {
+    Name = "${local.name_prefix}-scheduler-lambda"
+  }
+}
+
+# Runs the scheduler every minute; schedules are checked against their
+# cron expressions in the database
+resource "aws_cloudwatch_event_rule" "scheduler" {
+  name                = "${local.name_prefix}-scheduler"
+  description         = "Start the jobs of due scan schedules"
+  schedule_expression = "rate(1 minute)"
+  
+  tags = {
+    Name = "${local.name_prefix}-scheduler"
+  }
+}
+
+resource "aws_cloudwatch_event_target" "scheduler" {
+  rule = aws_cloudwatch_event_rule.scheduler.name
+  arn  = aws_lambda_function.scheduler.arn
+}
+
+resource "aws_lambda_permission" "scheduler" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.scheduler.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.scheduler.arn
+}
+
+resource "null_resource" "lambda_enumerator_package" {
+  triggers = {
+    enumerator_code = filemd5("${path.module}/../api/enumerator/index.js")
+    shared_code     = local.api_shared_code_hash
+  }
+
+  provisioner "local-exec" {
+    command = <<-EOT
+      set -e
+      rm -rf ${path.module}/.terraform/lambda-enumerator-build
+      mkdir -p ${path.module}/.terraform/lambda-enumerator-build
+      cp ${path.module}/../api/enumerator/index.js ${path.module}/.terraform/lambda-enumerator-build/
+      cp ${path.module}/../api/package*.json ${path.module}/.terraform/lambda-enumerator-build/
+      mkdir -p ${path.module}/.terraform/lambda-enumerator-build/shared
+      cp ${path.module}/../api/shared/*.js ${path.module}/.terraform/lambda-enumerator-build/shared/
+      cd ${path.module}/.terraform/lambda-enumerator-build && npm install --production && zip -r ../lambda-enumerator.zip . -x "*.git*" > /dev/null
+    EOT
+  }
+}
+
+data "archive_file" "lambda_enumerator" {
+  type        = "zip"
+  source_dir  = "${path.module}/.terraform/lambda-enumerator-build"
+  output_path = "${path.module}/.terraform/lambda-enumerator.zip"
+  excludes    = ["*.git*"]
+  
+  depends_on = [null_resource.lambda_enumerator_package]
+}
+
+# Lists the objects of new scan jobs and queues them, a page at a time from
+# the checkpoint stored on the job; it lists S3 and sends to the scan queue,
+# so it uses the scan role
+resource "aws_lambda_function" "enumerator" {
+  filename         = data.archive_file.lambda_enumerator.output_path
+  function_name    = "${local.name_prefix}-enumerator"
+  role             = aws_iam_role.lambda_scan.arn
+  handler          = "index.handler"
+  source_code_hash = data.archive_file.lambda_enumerator.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 900
+  memory_size      = 512
+  
+  vpc_config {
+    subnet_ids         = aws_subnet.private[*].id
+    security_group_ids = [aws_security_group.lambda.id]
+  }
+  
+  environment {
+    variables = {
+      SQS_QUEUE_URL         = aws_sqs_queue.scan_jobs.url
+      ENUMERATION_QUEUE_URL = aws_sqs_queue.enumeration.url
+      DB_SECRET_NAME        = aws_secretsmanager_secret.db_credentials.name
+      DB_SSL                = "true"
+      MAX_ATTEMPTS          = tostring(var.sqs_max_receive_count)
+    }
+  }
+  
+  depends_on = [aws_cloudwatch_log_group.lambda_enumerator]
+  
+  tags = {
+    Name = "${local.name_prefix}-enumerator-lambda"
+  }
+}
+
+resource "aws_lambda_event_source_mapping" "enumerator" {
+  event_source_arn = aws_sqs_queue.enumeration.arn
+  function_name    = aws_lambda_function.enumerator.arn
+  batch_size       = 1
+}
@@ -44,6 +44,11 @@ output "s3_bucket_name" {
   value       = aws_s3_bucket.scanner_files.id
 }
 
+output "quarantine_bucket_name" {
+  description = "S3 bucket holding originals of quarantined and redacted objects"
+  value       = aws_s3_bucket.quarantine.id
+}
+
 output "ecr_repository_url" {
   description = "ECR repository URL for scanner image"
   value       = aws_ecr_repository.scanner.repository_url
@@ -56,6 +56,22 @@ resource "aws_secretsmanager_secret" "db_credentials" {
   }
 }
 
+# Key for the HMAC fingerprints the scanner stores with each finding
+resource "aws_secretsmanager_secret" "fingerprint_key" {
+  name                    = "${local.name_prefix}-fingerprint-key"
+  description             = "HMAC key for S3 Scanner finding fingerprints"
+  recovery_window_in_days = 7
+  
+  tags = {
+    Name = "${local.name_prefix}-fingerprint-key"
+  }
+}
+
+resource "aws_secretsmanager_secret_version" "fingerprint_key" {
+  secret_id     = aws_secretsmanager_secret.fingerprint_key.id
+  secret_string = random_password.fingerprint_key.result
+}
+
 resource "aws_secretsmanager_secret_version" "db_credentials" {
   secret_id = aws_secretsmanager_secret.db_credentials.id
   secret_string = jsonencode({
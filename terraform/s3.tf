@@ -96,3 +96,51 @@ resource "aws_s3_bucket_policy" "scanner_files" {
   ]
 }
 
+
+# Originals of quarantined and redacted objects, kept so remediation can be
+# reverted. Not versioned: a revert deletes the copy for good.
+resource "aws_s3_bucket" "quarantine" {
+  bucket = "${local.name_prefix}-quarantine-${local.account_id}"
+  
+  tags = {
+    Name = "${local.name_prefix}-quarantine"
+  }
+}
+
+resource "aws_s3_bucket_public_access_block" "quarantine" {
+  bucket = aws_s3_bucket.quarantine.id
+  
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "quarantine" {
+  bucket = aws_s3_bucket.quarantine.id
+  
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+# Continuous scanning: new objects are sent to the scan queue as they land,
+# directly or through EventBridge
+resource "aws_s3_bucket_notification" "scanner_files" {
+  count  = var.continuous_scan_source == "none" ? 0 : 1
+  bucket = aws_s3_bucket.scanner_files.id
+
+  eventbridge = var.continuous_scan_source == "eventbridge"
+
+  dynamic "queue" {
+    for_each = var.continuous_scan_source == "s3" ? [1] : []
+    content {
+      queue_arn = aws_sqs_queue.scan_jobs.arn
+      events    = ["s3:ObjectCreated:*"]
+    }
+  }
+
+  depends_on = [aws_sqs_queue_policy.scan_jobs]
+}
@@ -33,6 +33,93 @@ resource "aws_sqs_queue" "scan_jobs" {
   }
 }
 
+# Enumeration queue: one message per job whose objects are being listed,
+# consumed by the enumerator Lambda. Its visibility timeout outlasts the
+# Lambda timeout, so a message is only delivered again once its enumerator
+# has stopped.
+resource "aws_sqs_queue" "enumeration_dlq" {
+  name = "${local.name_prefix}-enumeration-dlq"
+  
+  message_retention_seconds = 1209600 # 14 days
+  
+  sqs_managed_sse_enabled = true
+  
+  tags = {
+    Name = "${local.name_prefix}-enumeration-dlq"
+  }
+}
+
+resource "aws_sqs_queue" "enumeration" {
+  name = "${local.name_prefix}-enumeration"
+  
+  message_retention_seconds  = 1209600
+  visibility_timeout_seconds = 960
+  
+  sqs_managed_sse_enabled = true
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.enumeration_dlq.arn
+    maxReceiveCount     = var.sqs_max_receive_count
+  })
+  
+  tags = {
+    Name = "${local.name_prefix}-enumeration"
+  }
+}
+
+# S3 and EventBridge may send object-created events to the scan queue
+resource "aws_sqs_queue_policy" "scan_jobs" {
+  queue_url = aws_sqs_queue.scan_jobs.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Sid       = "AllowS3Events"
+        Effect    = "Allow"
+        Principal = { Service = "s3.amazonaws.com" }
+        Action    = "sqs:SendMessage"
+        Resource  = aws_sqs_queue.scan_jobs.arn
+        Condition = {
+          ArnEquals = { "aws:SourceArn" = aws_s3_bucket.scanner_files.arn }
+        }
+      },
+      {
+        Sid       = "AllowEventBridgeEvents"
+        Effect    = "Allow"
+        Principal = { Service = "events.amazonaws.com" }
+        Action    = "sqs:SendMessage"
+        Resource  = aws_sqs_queue.scan_jobs.arn
+        Condition = {
+          ArnEquals = {
+            "aws:SourceArn" = "arn:aws:events:${var.aws_region}:${local.account_id}:rule/${local.name_prefix}-object-created"
+          }
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_cloudwatch_event_rule" "object_created" {
+  count       = var.continuous_scan_source == "eventbridge" ? 1 : 0
+  name        = "${local.name_prefix}-object-created"
+  description = "New objects in the files bucket, for continuous scanning"
+
+  event_pattern = jsonencode({
+    source        = ["aws.s3"]
+    "detail-type" = ["Object Created"]
+    detail = {
+      bucket = { name = [aws_s3_bucket.scanner_files.id] }
+    }
+  })
+}
+
+resource "aws_cloudwatch_event_target" "object_created" {
+  count = var.continuous_scan_source == "eventbridge" ? 1 : 0
+  rule  = aws_cloudwatch_event_rule.object_created[0].name
+  arn   = aws_sqs_queue.scan_jobs.arn
+}
+
 resource "aws_cloudwatch_metric_alarm" "queue_depth" {
   alarm_name          = "${local.name_prefix}-high-queue-depth"
   comparison_operator = "GreaterThanThreshold"
@@ -89,6 +89,46 @@ variable "sqs_max_receive_count" {
   default     = 3
 }
 
+variable "scanner_max_scan_bytes" {
+  description = "Objects larger than this many bytes are handled by scanner_oversize_policy"
+  type        = number
+  default     = 5368709120 # 5 GB
+}
+
+variable "scanner_oversize_policy" {
+  description = "What the scanner does with oversize objects: truncate, skip or fail"
+  type        = string
+  default     = "truncate"
+
+  validation {
+    condition     = contains(["truncate", "skip", "fail"], var.scanner_oversize_policy)
+    error_message = "scanner_oversize_policy must be one of truncate, skip or fail."
+  }
+}
+
+variable "scanner_concurrency" {
+  description = "Messages each scanner task processes at once"
+  type        = number
+  default     = 4
+}
+
+variable "continuous_scan_source" {
+  description = "How new objects in the files bucket reach the scanner as they land: none, s3 (bucket notifications) or eventbridge"
+  type        = string
+  default     = "none"
+
+  validation {
+    condition     = contains(["none", "s3", "eventbridge"], var.continuous_scan_source)
+    error_message = "continuous_scan_source must be one of none, s3 or eventbridge."
+  }
+}
+
+variable "schedule_missed_run_grace_seconds" {
+  description = "How late the scheduler can start a scheduled scan before the run counts as missed"
+  type        = number
+  default     = 900
+}
+
 variable "tags" {
   description = "Common tags for all resources"
   type        = map(string)